@@ -0,0 +1,91 @@
+const JsonStore = require('./store.js');
+const { normalizeAddress } = require('./evm.js');
+
+const LIST_NAMES = ['blocklist', 'allowlist'];
+
+const WALLET_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const USER_ID_PATTERN = /^\d{17,20}$/;
+
+/**
+ * Kind and lookup key of a list value: a wallet (case-insensitive) or a Discord user ID. Null for anything else.
+ */
+function parseListValue(value) {
+    const raw = (value || '').toString().trim();
+    if (WALLET_PATTERN.test(raw)) return { kind: 'wallet', key: `wallet:${normalizeAddress(raw)}`, value: raw };
+    if (USER_ID_PATTERN.test(raw)) return { kind: 'user', key: `user:${raw}`, value: raw };
+    return null;
+}
+
+/**
+ * Admin-managed blocklist and allowlist of wallets and Discord user IDs.
+ * Entries are keyed by "wallet:<lowercase address>" or "user:<id>" and record { value, kind, reason, addedBy, addedAt }.
+ */
+class AccessLists {
+    constructor(filePath) {
+        this.store = new JsonStore(filePath, { blocklist: {}, allowlist: {} });
+    }
+
+    /**
+     * Add or replace an entry. `addedBy` is { userId, userTag }. Throws on an unknown list or value.
+     */
+    add(listName, value, reason, addedBy) {
+        const list = this.checkList(listName);
+        const parsed = parseListValue(value);
+        if (!parsed) throw new Error(`"${value}" is not a wallet address or Discord user ID`);
+        const data = this.store.load();
+        const entry = { value: parsed.value, kind: parsed.kind, reason, addedBy, addedAt: new Date().toISOString() };
+        data[list][parsed.key] = entry;
+        this.store.save(data);
+        return entry;
+    }
+
+    /**
+     * Remove an entry; returns the removed entry or null when it was not listed
+     */
+    remove(listName, value) {
+        const list = this.checkList(listName);
+        const parsed = parseListValue(value);
+        if (!parsed) return null;
+        const data = this.store.load();
+        const entry = data[list][parsed.key] || null;
+        if (entry) {
+            delete data[list][parsed.key];
+            this.store.save(data);
+        }
+        return entry;
+    }
+
+    /**
+     * Entries of a list, newest first
+     */
+    entries(listName) {
+        const list = this.checkList(listName);
+        return Object.values(this.store.load()[list]).sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+    }
+
+    /**
+     * Snapshot for classifying a run: match({ userId, address }) returns { blocked, allowed } with the matching entry or null.
+     * Reads the file once, so a run sees consistent lists.
+     */
+    snapshot() {
+        const data = this.store.load();
+        const lookup = (list, userId, address) =>
+            data[list][`user:${userId}`] || data[list][`wallet:${normalizeAddress(address)}`] || null;
+        return {
+            match: ({ userId, address }) => ({
+                blocked: lookup('blocklist', userId, address),
+                allowed: lookup('allowlist', userId, address)
+            })
+        };
+    }
+
+    checkList(listName) {
+        if (!LIST_NAMES.includes(listName)) throw new Error(`Unknown list "${listName}" (use ${LIST_NAMES.join(' or ')})`);
+        return listName;
+    }
+}
+
+module.exports = {
+    AccessLists,
+    parseListValue
+};
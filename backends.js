@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { AttachmentBuilder, OverwriteType, PermissionFlagsBits } = require('discord.js');
+const { createLogger } = require('./logger.js');
+
+const logger = createLogger('tickets');
+
+// Discord API error code for a channel that no longer exists
+const UNKNOWN_CHANNEL_CODE = 10003;
+const MESSAGE_PAGE_SIZE = 100;
+
+/**
+ * Closes tickets by typing commands for a separate ticket bot into the channel ($close, $transcript, $delete).
+ * Success only means the commands were posted; the other bot does the work.
+ */
+class CommandBackend {
+    constructor() {
+        this.name = 'commands';
+    }
+
+    async close(channel) {
+        await channel.send('$close');
+        logger.info('✅ $close command sent', { channelId: channel.id, backend: this.name });
+        return { method: 'message_command', command: '$close' };
+    }
+
+    async remove(channel) {
+        await channel.send('$transcript');
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        await channel.send('$delete');
+        logger.info('🗑️ $transcript and $delete commands sent', { channelId: channel.id, backend: this.name });
+        return { method: 'message_command' };
+    }
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Closes tickets through the Discord API: locks the channel, saves a transcript, then deletes it.
+ * Every step is verified and throws with `error.step` set when it did not take effect.
+ */
+class NativeBackend {
+    /**
+     * `options.transcriptChannelId` posts transcripts to a log channel, `options.transcriptDir`
+     * saves them to disk; at least one is required.
+     */
+    constructor(client, options = {}) {
+        if (!options.transcriptChannelId && !options.transcriptDir) {
+            throw new Error('The native ticket backend needs TRANSCRIPT_CHANNEL or TRANSCRIPT_DIR');
+        }
+        this.name = 'native';
+        this.client = client;
+        this.transcriptChannelId = options.transcriptChannelId || null;
+        this.transcriptDir = options.transcriptDir || null;
+    }
+
+    async step(name, channelId, action) {
+        try {
+            const result = await action();
+            logger.info(`✅ Ticket ${name} done`, { channelId, backend: this.name, step: name });
+            return result;
+        } catch (error) {
+            error.step = name;
+            throw error;
+        }
+    }
+
+    /**
+     * Stop everyone but staff from writing: deny SendMessages to @everyone and the ticket owner
+     */
+    async close(channel, ticket) {
+        const ownerId = (ticket.userTag || '').replace(/\D/g, '');
+        await this.step('lock', channel.id, async () => {
+            // An explicit type, since the owner of a ticket restored after a restart is usually not cached
+            const targets = [
+                { id: channel.guild.roles.everyone.id, type: OverwriteType.Role },
+                ...(ownerId ? [{ id: ownerId, type: OverwriteType.Member }] : [])
+            ];
+            for (const target of targets) {
+                await channel.permissionOverwrites.edit(target.id, { SendMessages: false }, { type: target.type, reason: 'Ticket closed' });
+            }
+            // edit() does not update the overwrite cache, so check against a fresh copy of the channel
+            const fresh = await channel.fetch(true);
+            const stillOpen = targets.filter(target => {
+                const overwrite = fresh.permissionOverwrites.cache.get(target.id);
+                return !overwrite || !overwrite.deny.has(PermissionFlagsBits.SendMessages);
+            }).map(target => target.id);
+            if (stillOpen.length > 0) throw new Error(`Send permission still allowed for ${stillOpen.join(', ')}`);
+        });
+        return { method: 'native', locked: true };
+    }
+
+    /**
+     * All channel messages, oldest first
+     */
+    async fetchMessages(channel) {
+        const messages = [];
+        let before;
+        for (;;) {
+            const page = await channel.messages.fetch({ limit: MESSAGE_PAGE_SIZE, ...(before ? { before } : {}) });
+            messages.push(...page.values());
+            if (page.size < MESSAGE_PAGE_SIZE) break;
+            before = page.last().id;
+        }
+        return messages.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+    }
+
+    buildTranscript(channel, messages) {
+        const entries = messages.map(message => ({
+            time: new Date(message.createdTimestamp).toISOString(),
+            author: message.author ? `${message.author.tag || message.author.username} (${message.author.id})` : 'unknown',
+            content: message.content || '',
+            attachments: [...message.attachments.values()].map(attachment => attachment.url)
+        }));
+
+        const text = [
+            `Transcript of #${channel.name} (${channel.id}), ${entries.length} messages`,
+            '',
+            ...entries.map(entry => [
+                `[${entry.time}] ${entry.author}: ${entry.content}`,
+                ...entry.attachments.map(url => `    📎 ${url}`)
+            ].join('\n'))
+        ].join('\n');
+
+        const html = [
+            '<!DOCTYPE html>',
+            '<html><head><meta charset="utf-8">',
+            `<title>Transcript of #${escapeHtml(channel.name)}</title>`,
+            '<style>body{font-family:sans-serif;margin:2em}.msg{margin:.5em 0}.time{color:#888;font-size:.85em}.author{font-weight:bold}.content{white-space:pre-wrap}</style>',
+            '</head><body>',
+            `<h1>#${escapeHtml(channel.name)}</h1><p>${entries.length} messages</p>`,
+            ...entries.map(entry =>
+                '<div class="msg">' +
+                `<span class="time">${entry.time}</span> <span class="author">${escapeHtml(entry.author)}</span>` +
+                `<div class="content">${escapeHtml(entry.content)}</div>` +
+                entry.attachments.map(url => `<div>📎 <a href="${escapeHtml(url)}">${escapeHtml(url)}</a></div>`).join('') +
+                '</div>'
+            ),
+            '</body></html>'
+        ].join('\n');
+
+        return { text, html, messageCount: entries.length };
+    }
+
+    /**
+     * Save the transcript (text and HTML) to the log channel and/or disk, then delete the channel
+     */
+    async remove(channel) {
+        const transcript = await this.step('transcript', channel.id, async () => {
+            return this.buildTranscript(channel, await this.fetchMessages(channel));
+        });
+        const baseName = `transcript-${channel.name}-${channel.id}`;
+        const result = { method: 'native', messageCount: transcript.messageCount };
+
+        if (this.transcriptChannelId) {
+            result.transcriptMessageId = await this.step('transcript upload', channel.id, async () => {
+                const logChannel = await this.client.channels.fetch(this.transcriptChannelId);
+                const posted = await logChannel.send({
+                    content: `📜 Transcript of #${channel.name} (${transcript.messageCount} messages)`,
+                    files: [
+                        new AttachmentBuilder(Buffer.from(transcript.text, 'utf-8'), { name: `${baseName}.txt` }),
+                        new AttachmentBuilder(Buffer.from(transcript.html, 'utf-8'), { name: `${baseName}.html` })
+                    ]
+                });
+                if (!posted || posted.attachments.size < 2) throw new Error('Transcript files missing from the log message');
+                return posted.id;
+            });
+        }
+
+        if (this.transcriptDir) {
+            result.transcriptFiles = await this.step('transcript save', channel.id, async () => {
+                fs.mkdirSync(this.transcriptDir, { recursive: true });
+                const files = [
+                    [path.join(this.transcriptDir, `${baseName}.txt`), transcript.text],
+                    [path.join(this.transcriptDir, `${baseName}.html`), transcript.html]
+                ];
+                files.forEach(([file, content]) => {
+                    fs.writeFileSync(file, content);
+                    if (fs.statSync(file).size !== Buffer.byteLength(content)) throw new Error(`Incomplete transcript file ${file}`);
+                });
+                return files.map(([file]) => file);
+            });
+        }
+
+        await this.step('delete', channel.id, async () => {
+            await channel.delete('Ticket closed');
+            const gone = await this.client.channels.fetch(channel.id, { force: true })
+                .then(() => false)
+                .catch(error => error.code === UNKNOWN_CHANNEL_CODE);
+            if (!gone) throw new Error('Channel still exists after delete');
+        });
+        return result;
+    }
+}
+
+/**
+ * Ticket close/delete backend from config: "commands" (default) or "native"
+ */
+function createTicketBackend(name, client, options = {}) {
+    if (!name || name === 'commands') return new CommandBackend();
+    if (name === 'native') return new NativeBackend(client, options);
+    throw new Error(`Unknown ticket backend "${name}" (use commands or native)`);
+}
+
+module.exports = {
+    createTicketBackend,
+    CommandBackend,
+    NativeBackend
+};
@@ -1,8 +1,24 @@
 require('dotenv').config();
+const crypto = require('crypto');
+const path = require('path');
 const cron = require('node-cron');
-const { Client, GatewayIntentBits, AttachmentBuilder } = require('discord.js');
+const { Client, GatewayIntentBits, AttachmentBuilder, PermissionFlagsBits, SlashCommandBuilder } = require('discord.js');
 const { google } = require('googleapis');
 
+const ExportLedger = require('./ledger.js');
+const RejectionNotifier = require('./notifier.js');
+const { normalizeAddress, validateAddress } = require('./evm.js');
+const { DEFAULT_MAX_BYTES, parseFormats, buildExportFiles, buildTextFiles } = require('./formats.js');
+const { columnToIndex, indexToColumn, a1Range } = require('./columns.js');
+const { loadIntakeConfig, FormIntake } = require('./intake.js');
+const { loadCampaigns } = require('./campaigns.js');
+const { createMonitoringServer } = require('./monitoring.js');
+const { indexBatches, scoreCandidate } = require('./risk.js');
+const { AccessLists, parseListValue } = require('./accesslists.js');
+const { LOG_LEVEL, LOG_FILE, createLogger, withLogContext } = require('./logger.js');
+
+const logger = createLogger('export');
+
 // Import ticket system
 const TicketSender = require('./sender.js');
 let ticketSender;
@@ -23,12 +39,18 @@ const auth = new google.auth.GoogleAuth({
 });
 
 const sheets = google.sheets({ version: 'v4', auth });
-const SHEET_ID = process.env.GOOGLE_SHEET_ID;
-const SHEET_NAME = 'Processed';
-const ROLE_ID = process.env.ROLE_ID;
-const EXPORT_CHANNELID = process.env.EXPORT_CHANNELID;
-const ADD_TXT = process.env.ADD_TXT || '';
-const COMMAND = process.env.COMMAND || 'export';
+// Campaign profiles (sheet, guild, role, channel, command, schedule...). Without a config file,
+// a single campaign is built from GOOGLE_SHEET_ID, ROLE_ID, EXPORT_CHANNELID, COMMAND, CRON_SCHEDULE and ADD_TXT.
+const CAMPAIGNS_CONFIG = process.env.CAMPAIGNS_CONFIG || path.join(__dirname, 'campaigns.json');
+const EXPORT_FORMATS = parseFormats(process.env.EXPORT_FORMATS); // e.g. "txt,csv,json"
+const EXPORT_MAX_BYTES = parseInt(process.env.EXPORT_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+const MAX_FILES_PER_MESSAGE = 10; // Discord attachment limit per message
+
+const REJECTION_DMS = process.env.REJECTION_DMS === 'true'; // DM applicants why their row was not exported
+
+const MONITORING_PORT = parseInt(process.env.MONITORING_PORT, 10) || null; // Serves /metrics and /healthz when set
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+const HEALTH_CHECK_TTL_MS = 30 * 1000; // Probes may come every few seconds; Sheets is asked at most this often
 
 // Google Sheets color definitions
 const COLORS = {
@@ -36,28 +58,92 @@ const COLORS = {
   LIGHT_ORANGE: { red: 1, green: 0.8, blue: 0.4 }, // Light orange for duplicates
   VERY_LIGHT_AMBER: { red: 1, green: 0.9, blue: 0.7 }, // Very light amber
   VERY_LIGHT_BLUE: { red: 0.8, green: 0.9, blue: 1 }, // Very light blue
+  LIGHT_PURPLE: { red: 0.85, green: 0.75, blue: 1 }, // Held for manual review
+  GRAY: { red: 0.7, green: 0.7, blue: 0.7 }, // Blocklisted
 };
 
-async function getSheetIdByName(sheetName) {
-  console.log(`🔍 Looking for sheet: "${sheetName}"`);
+// Explicit row status columns (per campaign, starting at its statusColumn).
+// Status is the source of truth; colors are only a visual mirror.
+const STATUS_HEADERS = ['Status', 'Reason', 'Export Batch', 'Exported At'];
+
+const STATUS = {
+  EXPORTED: 'exported',
+  DUPLICATE_USER: 'duplicate_user',
+  DUPLICATE_WALLET: 'duplicate_wallet',
+  NO_ROLE: 'no_role',
+  NOT_MEMBER: 'not_member',
+  INVALID_USER_ID: 'invalid_user_id',
+  INVALID_WALLET: 'invalid_wallet',
+  HIGH_RISK: 'high_risk', // Held back for manual review; set the status to "approved" to release it
+  BLOCKED: 'blocked', // User ID or wallet on the campaign blocklist
+  APPROVED: 'approved', // Set by an admin on a held row: the next run exports it without the risk check
+};
+
+// Which cells mirror each status, and in which color
+const STATUS_COLORS = {
+  [STATUS.DUPLICATE_USER]: { color: 'LIGHT_ORANGE', startColumnIndex: 3, endColumnIndex: 4 }, // Column D
+  [STATUS.DUPLICATE_WALLET]: { color: 'LIGHT_ORANGE', startColumnIndex: 4, endColumnIndex: 5 }, // Column E
+  [STATUS.NO_ROLE]: { color: 'LIGHT_RED', startColumnIndex: 3, endColumnIndex: 4 }, // Column D
+  [STATUS.NOT_MEMBER]: { color: 'LIGHT_RED', startColumnIndex: 3, endColumnIndex: 4 }, // Column D
+  [STATUS.INVALID_USER_ID]: { color: 'LIGHT_RED', startColumnIndex: 3, endColumnIndex: 4 }, // Column D
+  [STATUS.INVALID_WALLET]: { color: 'LIGHT_RED', startColumnIndex: 4, endColumnIndex: 5 }, // Column E
+  [STATUS.HIGH_RISK]: { color: 'LIGHT_PURPLE', startColumnIndex: 3, endColumnIndex: 5 }, // Columns D-E
+  [STATUS.BLOCKED]: { color: 'GRAY', startColumnIndex: 3, endColumnIndex: 5 }, // Columns D-E
+};
+
+// Runtime state for one campaign profile: its status column positions, ledger, intake and last run
+function createCampaign(profile) {
+  const statusIndex = columnToIndex(profile.statusColumn);
+  return {
+    ...profile,
+    columns: {
+      status: statusIndex,
+      reason: statusIndex + 1,
+      batch: statusIndex + 2,
+      exportedAt: statusIndex + 3,
+      last: indexToColumn(statusIndex + 3),
+    },
+    formIntake: profile.intakeConfig
+      ? new FormIntake(sheets, profile.spreadsheetId, loadIntakeConfig(profile.intakeConfig))
+      : null,
+    rejectionNotifier: new RejectionNotifier(client, profile.notifierFile),
+    ledger: new ExportLedger(profile.ledgerFile),
+    accessLists: new AccessLists(profile.listsFile),
+    lastRun: null,
+    lastSuccessAt: null, // End of the last successful (non-preview) export run
+    runCounts: {}, // "<mode>:<outcome>" -> runs, for metrics
+    lookupRows: null, // { rows: Promise, fetchedAt } cached for ticket lookups
+    sheetsHealth: null, // { error: Promise, checkedAt } cached for /healthz
+  };
+}
+
+const campaigns = loadCampaigns(CAMPAIGNS_CONFIG).map(createCampaign);
+
+// The campaign's guild; campaigns without a guildId use the first guild the bot is in
+function getCampaignGuild(campaign) {
+  return campaign.guildId ? client.guilds.cache.get(campaign.guildId) : client.guilds.cache.first();
+}
+
+async function getSheetIdByName(campaign, sheetName) {
+  logger.debug('🔍 Looking for sheet', { sheet: sheetName });
   const res = await sheets.spreadsheets.get({
-    spreadsheetId: SHEET_ID,
+    spreadsheetId: campaign.spreadsheetId,
   });
   const sheet = res.data.sheets.find(s => s.properties.title === sheetName);
   if (!sheet) throw new Error(`Sheet/tab "${sheetName}" not found`);
-  console.log(`✅ Found sheet "${sheetName}" with ID: ${sheet.properties.sheetId}`);
+  logger.debug('✅ Found sheet', { sheet: sheetName, sheetId: sheet.properties.sheetId });
   return sheet.properties.sheetId;
 }
 
-function getColorRequest(rowIndex, color, sheetId) {
+function getColorRequest(rowIndex, color, sheetId, startColumnIndex = 0, endColumnIndex = 7) {
   return {
     repeatCell: {
       range: {
         sheetId: sheetId,
         startRowIndex: rowIndex,
         endRowIndex: rowIndex + 1,
-        startColumnIndex: 0, // Column A (0-indexed)
-        endColumnIndex: 7,    // Column G (0-indexed, so 7 means up to G)
+        startColumnIndex, // Column A (0-indexed) by default
+        endColumnIndex,   // Column G (0-indexed, so 7 means up to G) by default
       },
       cell: {
         userEnteredFormat: {
@@ -69,41 +155,186 @@ function getColorRequest(rowIndex, color, sheetId) {
   };
 }
 
-async function getSheetRows() {
-  console.log(`📊 Fetching rows from ${SHEET_NAME}...`);
+// Exported rows are colored in columns A-G
+const EXPORT_COLOR_COLUMNS = 7;
+
+// Put back a row's per-cell background colors from A onwards (null clears a cell's color)
+function getRestoreColorRequest(rowIndex, sheetId, backgrounds) {
+  return {
+    updateCells: {
+      range: { sheetId, startRowIndex: rowIndex, endRowIndex: rowIndex + 1, startColumnIndex: 0, endColumnIndex: backgrounds.length },
+      rows: [{ values: backgrounds.map(color => ({ userEnteredFormat: color ? { backgroundColor: color } : {} })) }],
+      fields: 'userEnteredFormat.backgroundColor',
+    },
+  };
+}
+
+// Status cells and A-G background colors of the given rows as they are now, so a rollback can restore them.
+// Returns a Map of row number -> { status: [status, reason, batch, exportedAt], backgrounds: [color or null] }.
+async function getRowSnapshots(campaign, rows, rowNumbers) {
+  const res = await sheets.spreadsheets.get({
+    spreadsheetId: campaign.spreadsheetId,
+    ranges: [a1Range(campaign.sheetName, `A2:${indexToColumn(EXPORT_COLOR_COLUMNS - 1)}${Math.max(...rowNumbers)}`)],
+    includeGridData: true,
+    fields: 'sheets.data.rowData.values.userEnteredFormat.backgroundColor',
+  });
+  const rowData = res.data.sheets[0].data[0].rowData || [];
+  return new Map(rowNumbers.map(rowNumber => {
+    const row = rows[rowNumber - 2] || [];
+    const cells = (rowData[rowNumber - 2] || {}).values || [];
+    return [rowNumber, {
+      status: STATUS_HEADERS.map((header, offset) => row[campaign.columns.status + offset] || ''),
+      backgrounds: Array.from({ length: EXPORT_COLOR_COLUMNS }, (_, i) =>
+        (cells[i] && cells[i].userEnteredFormat && cells[i].userEnteredFormat.backgroundColor) || null
+      ),
+    }];
+  }));
+}
+
+async function getSheetRows(campaign) {
+  logger.debug('📊 Fetching rows', { sheet: campaign.sheetName });
   const res = await sheets.spreadsheets.values.get({
-    spreadsheetId: SHEET_ID,
-    range: `${SHEET_NAME}!A2:L`,
+    spreadsheetId: campaign.spreadsheetId,
+    range: a1Range(campaign.sheetName, `A2:${campaign.columns.last}`),
   });
   const rows = res.data.values || [];
-  console.log(`✅ Found ${rows.length} rows of data`);
+  logger.info('✅ Rows fetched', { sheet: campaign.sheetName, rows: rows.length });
   return rows;
 }
 
-async function getSheetColors() {
-  console.log(`🎨 Fetching cell colors...`);
+async function getSheetColors(campaign) {
+  logger.debug('🎨 Fetching cell colors', { sheet: campaign.sheetName });
   const res = await sheets.spreadsheets.get({
-    spreadsheetId: SHEET_ID,
-    ranges: [`${SHEET_NAME}!A2:L`],
+    spreadsheetId: campaign.spreadsheetId,
+    ranges: [a1Range(campaign.sheetName, 'A2:L')],
     includeGridData: true,
   });
   const colorRows = res.data.sheets[0].data[0].rowData || [];
-  console.log(`✅ Retrieved colors for ${colorRows.length} rows`);
+  logger.debug('✅ Cell colors fetched', { rows: colorRows.length });
   return colorRows;
 }
 
-async function userHasRole(guild, userId, roleId) {
-  try {
-    const member = await guild.members.fetch(userId);
-    const hasRole = member.roles.cache.has(roleId);
-    console.log(`👤 User ${userId} has role ${roleId}: ${hasRole}`);
-    return hasRole;
-  } catch (error) {
-    console.log(`❌ Error checking role for user ${userId}: ${error.message}`);
-    return false;
+// Whether the sheet has the status header row that the color-to-status migration writes
+async function hasStatusHeaders(campaign) {
+  const res = await sheets.spreadsheets.values.get({
+    spreadsheetId: campaign.spreadsheetId,
+    range: a1Range(campaign.sheetName, `${campaign.statusColumn}1:${campaign.columns.last}1`),
+  });
+  const header = (res.data.values || [])[0] || [];
+  return header[0] === STATUS_HEADERS[0];
+}
+
+function getRowStatus(campaign, row) {
+  return (row[campaign.columns.status] || '').trim();
+}
+
+// Write status, reason, batch ID and export time for each given row.
+// Each entry is { rowNumber, status, reason, batchId, exportedAt } with a 1-based sheet row number.
+async function writeRowStatuses(campaign, entries) {
+  if (entries.length === 0) return;
+  logger.debug('📝 Writing row statuses', { rows: entries.length });
+  await sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId: campaign.spreadsheetId,
+    requestBody: {
+      valueInputOption: 'RAW',
+      data: entries.map(entry => ({
+        range: a1Range(campaign.sheetName, `${campaign.statusColumn}${entry.rowNumber}:${campaign.columns.last}${entry.rowNumber}`),
+        values: [[entry.status, entry.reason || '', entry.batchId || '', entry.exportedAt || '']],
+      })),
+    },
+  });
+  logger.info('✅ Row statuses written', { rows: entries.length });
+}
+
+// Color requests mirroring the given statuses (exported rows are colored by the caller)
+function getStatusColorRequests(entries, sheetId) {
+  return entries
+    .filter(entry => STATUS_COLORS[entry.status])
+    .map(entry => {
+      const { color, startColumnIndex, endColumnIndex } = STATUS_COLORS[entry.status];
+      return getColorRequest(entry.rowNumber - 1, color, sheetId, startColumnIndex, endColumnIndex);
+    });
+}
+
+const EXPORT_COLORS = ['VERY_LIGHT_AMBER', 'VERY_LIGHT_BLUE'];
+
+// Export colors alternate amber/blue per batch: the next batch takes the other color than the one
+// the last exported row actually has in the sheet (amber when nothing was exported yet)
+async function getNextExportColor(campaign, rows) {
+  const lastIndex = rows.map(row => getRowStatus(campaign, row)).lastIndexOf(STATUS.EXPORTED);
+  if (lastIndex === -1) return EXPORT_COLORS[0];
+
+  const rowNumber = lastIndex + 2;
+  const res = await sheets.spreadsheets.get({
+    spreadsheetId: campaign.spreadsheetId,
+    ranges: [a1Range(campaign.sheetName, `A${rowNumber}:G${rowNumber}`)],
+    includeGridData: true,
+  });
+  const cells = ((res.data.sheets[0].data[0].rowData || [])[0] || {}).values || [];
+  const lastColor = EXPORT_COLORS.find(color => cells.some(cell => isColor(cell, color)));
+  if (!lastColor) logger.warn('⚠️ Last exported row has no export color', { row: rowNumber });
+  return lastColor === EXPORT_COLORS[0] ? EXPORT_COLORS[1] : EXPORT_COLORS[0];
+}
+
+// Outcomes of checking a row's user ID against the guild
+const MEMBER_CHECK = {
+  HAS_ROLE: 'has_role',
+  LACKS_ROLE: 'lacks_role',
+  NOT_MEMBER: 'not_member',
+  INVALID_ID: 'invalid_id',
+};
+
+const MEMBER_FETCH_CHUNK = 100; // Most user IDs one guild member request accepts
+
+// Form timestamp in column A, as the sheet displays it (in the sheet's time zone); null when it cannot be read
+function parseSubmittedAt(value) {
+  const time = Date.parse(value || '');
+  return Number.isNaN(time) ? null : new Date(time);
+}
+
+function isSnowflake(id) {
+  return /^\d{17,20}$/.test(id || '') && BigInt(id) < 2n ** 64n;
+}
+
+// Check every user ID against the guild in bulk. Returns a Map of userId -> MEMBER_CHECK outcome,
+// built fresh per run so each ID is fetched at most once. Fetch failures are thrown rather than
+// reported as missing roles. When given, `joinedAt` is filled with userId -> guild join time (ms).
+async function checkMembers(guild, userIds, roleId, joinedAt = null) {
+  const results = new Map();
+  const toFetch = [];
+  for (const userId of new Set(userIds)) {
+    if (isSnowflake(userId)) {
+      toFetch.push(userId);
+    } else {
+      results.set(userId, MEMBER_CHECK.INVALID_ID);
+    }
+  }
+
+  for (let i = 0; i < toFetch.length; i += MEMBER_FETCH_CHUNK) {
+    const chunk = toFetch.slice(i, i + MEMBER_FETCH_CHUNK);
+    logger.debug('👥 Fetching members', { from: i + 1, to: i + chunk.length, total: toFetch.length });
+    const members = await guild.members.fetch({ user: chunk });
+    chunk.forEach(userId => {
+      const member = members.get(userId);
+      if (!member) {
+        results.set(userId, MEMBER_CHECK.NOT_MEMBER);
+      } else {
+        results.set(userId, member.roles.cache.has(roleId) ? MEMBER_CHECK.HAS_ROLE : MEMBER_CHECK.LACKS_ROLE);
+        if (joinedAt && member.joinedTimestamp) joinedAt.set(userId, member.joinedTimestamp);
+      }
+    });
   }
+
+  return results;
 }
 
+// Row status and reason for each failed member check
+const MEMBER_CHECK_OUTCOMES = {
+  [MEMBER_CHECK.LACKS_ROLE]: { status: STATUS.NO_ROLE, reason: (userId, roleId) => `Member does not have role ${roleId}` },
+  [MEMBER_CHECK.NOT_MEMBER]: { status: STATUS.NOT_MEMBER, reason: () => 'User is not a member of the server' },
+  [MEMBER_CHECK.INVALID_ID]: { status: STATUS.INVALID_USER_ID, reason: userId => `"${userId}" is not a valid Discord user ID` },
+};
+
 function isColor(cell, color) {
   if (!cell || !cell.userEnteredFormat || !cell.userEnteredFormat.backgroundColor) return false;
   const c = cell.userEnteredFormat.backgroundColor;
@@ -116,322 +347,1208 @@ function isColor(cell, color) {
   );
 }
 
-async function processSheetAndExport() {
-  console.log('\n🚀 Starting sheet processing...');
-  
-  const sheetId = await getSheetIdByName(SHEET_NAME);
-  const guild = client.guilds.cache.first();
-  const channel = await client.channels.fetch(EXPORT_CHANNELID);
+const LOOKUP_ROWS_TTL_MS = 60 * 1000;
 
-  // 1. Get all rows and their colors
-  const rows = await getSheetRows();
-  const colorRows = await getSheetColors();
+// Sheet rows for ticket lookups: concurrent lookups share one read, which is reused for LOOKUP_ROWS_TTL_MS
+// (sheet jobs drop it early). A failed read is not cached.
+function getLookupRows(campaign) {
+  const cached = campaign.lookupRows;
+  if (cached && Date.now() - cached.fetchedAt < LOOKUP_ROWS_TTL_MS) return cached.rows;
 
-  // Step 1: Count all wallet addresses
-  const evmAddresses = rows.map(row => row[4]);
-  const evmCount = {};
-  evmAddresses.forEach(addr => {
-    if (addr) evmCount[addr] = (evmCount[addr] || 0) + 1;
+  const rows = getSheetRows(campaign);
+  campaign.lookupRows = { rows, fetchedAt: Date.now() };
+  rows.catch(() => {
+    if (campaign.lookupRows && campaign.lookupRows.rows === rows) campaign.lookupRows = null;
   });
-  const duplicateEvm = Object.keys(evmCount).filter(addr => evmCount[addr] > 1);
+  return rows;
+}
+
+// Find a campaign's row for a ticket's wallet and Discord ID.
+// Prefers a row matching both, then the latest row with the wallet, then the latest row with the user ID.
+async function findCampaignSubmission(campaign, { address, userId }) {
+  const rows = await getLookupRows(campaign);
+  const addressKey = normalizeAddress(address);
+  const matches = rows
+    .map((row, i) => ({ row, rowNumber: i + 2 }))
+    .filter(({ row }) => normalizeAddress(row[4]) === addressKey || row[3] === userId)
+    .reverse();
+
+  const match =
+    matches.find(({ row }) => normalizeAddress(row[4]) === addressKey && row[3] === userId) ||
+    matches.find(({ row }) => normalizeAddress(row[4]) === addressKey) ||
+    matches[0];
+  if (!match) return { state: 'not_found' };
+
+  // An approved row is still waiting for the next export, like a row without a status
+  const status = getRowStatus(campaign, match.row);
+  return {
+    state: status && status !== STATUS.APPROVED ? status : 'pending',
+    rowNumber: match.rowNumber,
+    reason: match.row[campaign.columns.reason] || '',
+    batchId: match.row[campaign.columns.batch] || '',
+    matchedBy: normalizeAddress(match.row[4]) === addressKey ? 'address' : 'userId',
+  };
+}
+
+// Used by the ticket system to answer status questions. Checks the campaigns of the ticket's guild
+// and returns the first match, preferring one found by wallet over one found only by user ID.
+async function findSubmission({ address, userId, guildId }) {
+  const candidates = campaigns.filter(campaign => !guildId || !campaign.guildId || campaign.guildId === guildId);
+  let byUserId = null;
+  for (const campaign of candidates) {
+    const submission = await findCampaignSubmission(campaign, { address, userId });
+    if (submission.matchedBy === 'address') return submission;
+    if (submission.matchedBy === 'userId' && !byUserId) byUserId = submission;
+  }
+  return byUserId || { state: 'not_found' };
+}
+
+// One-time migration: derive row statuses from the background colors used before the status columns existed.
+// Rows that already have a status are left alone. Each run of same-colored exported rows becomes one legacy batch.
+async function migrateColorsToStatus(campaign) {
+  logger.info('🚚 Migrating row colors to status columns', { campaign: campaign.id });
+
+  const rows = await getSheetRows(campaign);
+  const colorRows = await getSheetColors(campaign);
 
-  // Step 2: Mark ALL rows with duplicate wallet addresses (column E)
-  let requests = [];
+  const entries = [];
+  let legacyBatch = 0;
+  let lastExportColor = null;
+  for (let i = 0; i < colorRows.length; i++) {
+    const row = rows[i] || [];
+    if (getRowStatus(campaign, row)) continue;
+
+    const colorCells = colorRows[i].values || [];
+    const exportColor = EXPORT_COLORS.find(color => colorCells.some(cell => isColor(cell, color)));
+    let entry = null;
+    if (exportColor) {
+      if (exportColor !== lastExportColor) {
+        legacyBatch++;
+        lastExportColor = exportColor;
+      }
+      entry = { status: STATUS.EXPORTED, reason: 'Migrated from row color', batchId: `legacy-${legacyBatch}` };
+    } else if (isColor(colorCells[3], 'LIGHT_RED')) {
+      entry = { status: STATUS.NO_ROLE, reason: 'Migrated from row color' };
+    } else if (isColor(colorCells[3], 'LIGHT_ORANGE')) {
+      entry = { status: STATUS.DUPLICATE_USER, reason: 'Migrated from row color' };
+    } else if (isColor(colorCells[4], 'LIGHT_ORANGE') || isColor(colorCells[4], 'LIGHT_RED')) {
+      entry = { status: STATUS.DUPLICATE_WALLET, reason: 'Migrated from row color' };
+    }
+
+    if (entry) entries.push({ rowNumber: i + 2, ...entry });
+  }
+
+  await sheets.spreadsheets.values.update({
+    spreadsheetId: campaign.spreadsheetId,
+    range: a1Range(campaign.sheetName, `${campaign.statusColumn}1:${campaign.columns.last}1`),
+    valueInputOption: 'RAW',
+    requestBody: { values: [STATUS_HEADERS] },
+  });
+  await writeRowStatuses(campaign, entries);
+
+  logger.info('✅ Migration finished', { campaign: campaign.id, rows: entries.length, legacyBatches: legacyBatch });
+  return { migrated: entries.length, legacyBatches: legacyBatch };
+}
+
+// Undo an export batch (the latest one by default): put its rows' status cells and background colors back
+// to what they were just before the export, so the next run picks them up again, and post a retraction.
+// Batches recorded before snapshots were kept have their rows' status and color cleared instead.
+// Refuses when a later batch is still in the sheet: export colors alternate per batch, so removing an
+// earlier batch would leave the later ones with the wrong amber/blue.
+async function rollbackBatch(campaign, batchId, trigger) {
+  const batches = campaign.ledger.all();
+  const liveBatches = batches.filter(batch => !batch.rolledBackAt);
+  const batch = batchId ? batches.find(item => item.id === batchId) : liveBatches[liveBatches.length - 1];
+  if (!batch) throw new Error(batchId ? `Batch not found: ${batchId}` : 'No export batch to roll back');
+  if (batch.rolledBackAt) throw new Error(`Batch ${batch.id} was already rolled back`);
+
+  const rows = await getSheetRows(campaign);
+  const exportedIn = row => getRowStatus(campaign, row) === STATUS.EXPORTED ? row[campaign.columns.batch] || '' : null;
+  const laterInSheet = batches
+    .slice(batches.indexOf(batch) + 1)
+    .filter(later => rows.some(row => exportedIn(row) === later.id))
+    .map(later => later.id);
+  if (laterInSheet.length > 0) {
+    throw new Error(`later batches ${laterInSheet.join(', ')} are still in the sheet and their colors follow this one; roll them back first`);
+  }
+
+  const rowNumbers = rows
+    .map((row, i) => ({ row, rowNumber: i + 2 }))
+    .filter(({ row }) => exportedIn(row) === batch.id)
+    .map(({ rowNumber }) => rowNumber);
+  if (rowNumbers.length === 0) throw new Error(`No rows in ${campaign.sheetName} are marked as exported in batch ${batch.id}`);
+
+  const snapshots = new Map(batch.entries.filter(entry => entry.previous).map(entry => [entry.rowNumber, entry.previous]));
+  const blank = { status: ['', '', '', ''], backgrounds: new Array(EXPORT_COLOR_COLUMNS).fill(null) };
+  const restores = rowNumbers.map(rowNumber => ({ rowNumber, previous: snapshots.get(rowNumber) || blank }));
+  const unsnapshotted = restores.filter(restore => restore.previous === blank).length;
+  logger.info('↩️ Rolling back batch', { batchId: batch.id, rows: rowNumbers.length, ledgerEntries: batch.entries.length, unsnapshotted });
+
+  // Mark the ledger first: if that fails nothing has changed yet, and the batch leaves the risk history
+  // as soon as its rows can be exported again
+  campaign.ledger.markRolledBack(batch.id, { rolledBackAt: new Date().toISOString(), rolledBackBy: trigger, rolledBackRows: rowNumbers });
+  try {
+    // Colors first: statuses are the source of truth, so until they are written a retry still finds the batch
+    const sheetId = await getSheetIdByName(campaign, campaign.sheetName);
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId: campaign.spreadsheetId,
+      requestBody: {
+        requests: restores.map(({ rowNumber, previous }) => getRestoreColorRequest(rowNumber - 1, sheetId, previous.backgrounds)),
+      },
+    });
+    await writeRowStatuses(campaign, restores.map(({ rowNumber, previous: { status } }) => ({
+      rowNumber,
+      status: status[0],
+      reason: status[1],
+      batchId: status[2],
+      exportedAt: status[3],
+    })));
+  } catch (error) {
+    campaign.ledger.markRolledBack(batch.id, { rolledBackAt: null, rolledBackBy: null, rolledBackRows: null });
+    throw error;
+  }
+  logger.info('🎨 Rolled-back rows restored', { batchId: batch.id, rows: rowNumbers.length });
+
+  const channel = await client.channels.fetch(campaign.channelId);
+  await channel.send(
+    `↩️ **Export Retraction: ${campaign.id}**\n` +
+    `Batch \`${batch.id}\` (${batch.entries.length} addresses, posted ${batch.createdAt.replace('T', ' ').replace(/\..+/, '')} UTC) was rolled back by ${describeTrigger(trigger)}.\n` +
+    `Do not use its export file. ${rowNumbers.length} sheet rows are eligible again for the next export.`
+  );
+  return { batchId: batch.id, rows: rowNumbers.length };
+}
+
+// Row verdicts reported by preview runs
+const SKIPPED_VERDICT = 'skipped-already-processed';
+
+function buildPreviewReport(campaign, rows, outcomes) {
+  const lines = ['Row\tUserID\tEVM address\tVerdict\tReason'];
   for (let i = 0; i < rows.length; i++) {
     const row = rows[i];
-    const evmAddress = row[4];
-    const colorCells = colorRows[i].values || [];
-    // Only mark if not already colored
-    const alreadyColored = colorCells[4] && (isColor(colorCells[4], 'LIGHT_ORANGE') || isColor(colorCells[4], 'LIGHT_RED'));
-    if (duplicateEvm.includes(evmAddress) && !alreadyColored) {
-      requests.push({
-        repeatCell: {
-          range: {
-            sheetId: sheetId,
-            startRowIndex: i + 1,
-            endRowIndex: i + 2,
-            startColumnIndex: 4, // Column E
-            endColumnIndex: 5,   // Column E
-          },
-          cell: {
-            userEnteredFormat: {
-              backgroundColor: COLORS.LIGHT_ORANGE,
-            },
-          },
-          fields: 'userEnteredFormat.backgroundColor',
-        },
-      });
+    const outcome = outcomes.get(i + 2) || { status: SKIPPED_VERDICT, reason: `Status: ${getRowStatus(campaign, row)}` };
+    lines.push(`${i + 2}\t${row[3] || ''}\t${row[4] || ''}\t${outcome.status}\t${outcome.reason}`);
+  }
+  return lines.join('\n');
+}
+
+// Post files, spreading them over several messages: Discord's upload limit applies to a whole message,
+// so each message carries at most EXPORT_MAX_BYTES and MAX_FILES_PER_MESSAGE files
+async function sendFiles(channel, files, content) {
+  const groups = [];
+  let group = [];
+  let groupBytes = 0;
+  files.forEach(file => {
+    if (group.length > 0 && (group.length === MAX_FILES_PER_MESSAGE || groupBytes + file.buffer.length > EXPORT_MAX_BYTES)) {
+      groups.push(group);
+      group = [];
+      groupBytes = 0;
     }
+    group.push(file);
+    groupBytes += file.buffer.length;
+  });
+  if (group.length > 0) groups.push(group);
+
+  for (let i = 0; i < groups.length; i++) {
+    const attachments = groups[i].map(file => new AttachmentBuilder(file.buffer, { name: file.name }));
+    await channel.send(i === 0 && content ? { content, files: attachments } : { files: attachments });
   }
+}
+
+function getExportFiles(entries, batchId, exportedAt, baseName = 'export') {
+  return buildExportFiles(entries, {
+    formats: EXPORT_FORMATS,
+    batchId,
+    exportedAt,
+    baseName,
+    maxBytes: EXPORT_MAX_BYTES,
+  });
+}
 
-  // 2. First pass: Check for duplicates and collect valid entries BEFORE coloring
-  console.log('\n🔍 Checking for duplicates and collecting valid entries...');
+function describeTrigger(trigger) {
+  return trigger.type === 'admin' ? `admin ${trigger.userTag} (${trigger.userId})` : trigger.type;
+}
+
+// Counts of a run summary as message lines, shared by the export message and `batch` for ledger batches
+function buildSummaryLines(summary, createdAt) {
+  return `Date (UTC): ${createdAt.replace('T', ' ').replace(/\..+/, '')}\n` +
+    (summary.intake ? `Form responses accepted/rejected: ${summary.intake.accepted}/${summary.intake.rejected}\n` : '') +
+    `Entries processed: ${summary.processed}\n` +
+    `UserID duplicates: ${summary.userIdDuplicates}\n` +
+    `Wallet duplicates: ${summary.walletDuplicates}\n` +
+    `Invalid wallets: ${summary.invalidWallets}\n` +
+    `Unverified members: ${summary.unverifiedMembers}\n` +
+    `Not in server: ${summary.notMembers}\n` +
+    `Invalid user IDs: ${summary.invalidUserIds}\n` +
+    `Blocklisted: ${summary.blocked}\n` +
+    `Allowlisted (role check skipped): ${summary.allowlisted}\n` +
+    `Exported EVM addresses: ${summary.exported}` +
+    (summary.riskThreshold !== undefined ? `\nHeld for review (risk score above ${summary.riskThreshold}): ${summary.heldForReview}` : '');
+}
+
+// Sheet-writing jobs in progress, keyed by spreadsheet and tab. Overlapping runs would read the
+// same statuses and export the same rows twice, so a second trigger is rejected while one runs.
+const sheetLocks = new Map(); // Lock key -> { campaignId, label, trigger, startedAt }
+
+function getSheetLockKey(campaign) {
+  return `${campaign.spreadsheetId}/${campaign.sheetName}`;
+}
+
+// Run `task` holding the campaign sheet's lock. Throws an error with `locked` set when the sheet is busy.
+async function withSheetLock(campaign, label, trigger, task) {
+  const key = getSheetLockKey(campaign);
+  const holder = sheetLocks.get(key);
+  if (holder) {
+    const error = new Error(
+      `${holder.label} for ${holder.campaignId} (triggered by ${describeTrigger(holder.trigger)}) is already running on this sheet`
+    );
+    error.locked = true;
+    throw error;
+  }
+
+  sheetLocks.set(key, { campaignId: campaign.id, label, trigger, startedAt: new Date() });
+  try {
+    return await task();
+  } finally {
+    sheetLocks.delete(key);
+    // The job may have changed statuses, so ticket lookups on this sheet read it again
+    campaigns.filter(c => getSheetLockKey(c) === key).forEach(c => { c.lookupRows = null; });
+  }
+}
+
+// Outcome of the campaign's most recent export run, for status queries
+function describeLastRun(campaign) {
+  const { lastRun } = campaign;
+  const when = (date) => date.toISOString().replace('T', ' ').replace(/\..+/, '');
+  const holder = sheetLocks.get(getSheetLockKey(campaign));
+  const lockLine = holder && !(lastRun && !lastRun.finishedAt)
+    ? `\n🔒 Sheet busy: ${holder.label} for ${holder.campaignId} since ${when(holder.startedAt)} UTC`
+    : '';
+  if (!lastRun) return `ℹ️ No ${campaign.id} export has run since the bot started${lockLine}`;
+  const header = `${lastRun.preview ? 'Preview' : 'Export'} triggered by ${describeTrigger(lastRun.trigger)} at ${when(lastRun.startedAt)} UTC (run ${lastRun.runId})`;
+  if (!lastRun.finishedAt) return `⏳ ${header}\nIn progress: ${lastRun.step}`;
+  if (lastRun.error) return `❌ ${header}\nFailed while ${lastRun.step}: ${lastRun.error}${lockLine}`;
+  return `✅ ${header}\nFinished at ${when(lastRun.finishedAt)} UTC` +
+    (lastRun.summary.exported > 0 ? ` — batch ${lastRun.summary.batchId}` : '') +
+    `\nExported EVM addresses: ${lastRun.summary.exported}${lockLine}`;
+}
+
+// In preview mode the full classification runs, but no statuses or colors are written and
+// only a verdict report plus the candidate export file are posted.
+// `trigger` records what started the run: { type: 'cron' } or { type: 'admin', userId, userTag }.
+// `intake` first validates new form responses and copies them into the sheet.
+// `onProgress` is called with a description of each step; a failure is rethrown with `error.step` set.
+// Every log entry of a run carries its campaign and run ID; failures get `error.runId` too.
+// Runs hold the sheet lock, so a trigger that arrives while the sheet is busy fails with `error.locked`
+// and leaves the last run untouched.
+async function processSheetAndExport(campaign, { preview = false, intake = false, trigger = { type: 'cron' }, onProgress = () => {} } = {}) {
+  return withSheetLock(campaign, preview ? 'Export preview' : 'Export', trigger, async () => {
+    const run = { runId: crypto.randomUUID(), preview, trigger, startedAt: new Date(), step: 'starting' };
+    campaign.lastRun = run;
+    const enterStep = async (step) => {
+      run.step = step;
+      logger.debug('➡️ Export step', { step });
+      await onProgress(step);
+    };
+
+    try {
+      run.summary = await withLogContext({ campaign: campaign.id, runId: run.runId }, () =>
+        runSheetExport(campaign, { preview, intake, trigger, runId: run.runId }, enterStep)
+      );
+      return run.summary;
+    } catch (error) {
+      run.error = error.message;
+      error.step = run.step;
+      error.runId = run.runId;
+      throw error;
+    } finally {
+      run.finishedAt = new Date();
+      if (!preview && !run.error) campaign.lastSuccessAt = run.finishedAt;
+      const countKey = `${preview ? 'preview' : 'export'}:${run.error ? 'failure' : 'success'}`;
+      campaign.runCounts[countKey] = (campaign.runCounts[countKey] || 0) + 1;
+    }
+  });
+}
+
+// Scheduled runs have nobody to reply to, so skips and failures are posted to the export channel
+async function runScheduledExport(campaign) {
+  logger.info('⏰ Scheduled run triggered', { campaign: campaign.id });
+  let notice;
+  try {
+    await processSheetAndExport(campaign, { intake: campaign.intakeEnabled, trigger: { type: 'cron' } });
+    return;
+  } catch (error) {
+    if (error.locked) {
+      logger.warn('⏭️ Scheduled run skipped', { campaign: campaign.id, reason: error.message });
+      notice = `⏭️ Scheduled export skipped: ${error.message}`;
+    } else {
+      logger.error('❌ Scheduled run failed', { campaign: campaign.id, runId: error.runId, step: error.step, error });
+      notice = `❌ Scheduled export failed while ${error.step}: ${error.message}`;
+    }
+  }
+
+  try {
+    const channel = await client.channels.fetch(campaign.channelId);
+    await channel.send(notice);
+  } catch (error) {
+    logger.error('❌ Failed to report scheduled run', { campaign: campaign.id, error });
+  }
+}
+
+async function runSheetExport(campaign, { preview, intake, trigger, runId }, enterStep) {
+  // Rows are only eligible while their Status cell is empty, so rows exported before the status columns
+  // existed (known only by their color) must be migrated first or they would be exported again
+  await enterStep('checking the status columns');
+  if (!(await hasStatusHeaders(campaign))) {
+    if (preview) throw new Error('The sheet has no status columns yet; the first export run migrates row colors to statuses');
+    await enterStep('migrating row colors to statuses');
+    const { migrated, legacyBatches } = await migrateColorsToStatus(campaign);
+    logger.info('🚚 Status columns created before the first export', { migrated, legacyBatches });
+  }
+
+  let intakeResult = null;
+  if (intake && !preview && campaign.formIntake) {
+    await enterStep('validating form responses');
+    intakeResult = await campaign.formIntake.run();
+  }
+
+  logger.info('🚀 Starting sheet processing', { preview, trigger: trigger.type });
+  
+  await enterStep('looking up the sheet');
+  const sheetId = await getSheetIdByName(campaign, campaign.sheetName);
+  const guild = getCampaignGuild(campaign);
+  if (!guild) throw new Error(`Bot is not in guild ${campaign.guildId}`);
+  const channel = await client.channels.fetch(campaign.channelId);
+
+  // 1. Get all rows
+  await enterStep('reading sheet rows');
+  const rows = await getSheetRows(campaign);
+
+  // Count all wallet addresses (case-insensitively) and user IDs
+  const evmCount = {};
+  const userIdCount = {};
+  rows.forEach(row => {
+    const addr = normalizeAddress(row[4]);
+    if (addr) evmCount[addr] = (evmCount[addr] || 0) + 1;
+    if (row[3]) userIdCount[row[3]] = (userIdCount[row[3]] || 0) + 1;
+  });
+  const duplicateEvm = Object.keys(evmCount).filter(addr => evmCount[addr] > 1);
+  const duplicateUserIds = Object.keys(userIdCount).filter(id => userIdCount[id] > 1);
+
+  const outcomes = new Map(); // Sheet row number -> { status, reason }
+
+  // 2. First pass: skip rows that already have a status and catch repeated user IDs
+  await enterStep('checking for duplicates');
+  logger.debug('🔍 Checking for duplicates and collecting valid entries');
   let seenUserIds = new Set();
-  let seenEvmAddresses = new Set();
   let duplicateCount = 0;
-  let validEntriesForExport = []; // Collect valid entries before coloring
+  let invalidWallets = 0;
+  let blockedRows = 0;
+  let validEntriesForExport = [];
+  const accessLists = campaign.accessLists.snapshot();
   
   for (let i = 0; i < rows.length; i++) {
     const row = rows[i];
     const userId = row[3]; // Column D
     const evmAddress = row[4]; // Column E
-    const colorCells = colorRows[i].values || [];
+    const status = getRowStatus(campaign, row);
     
-    console.log(`\n📝 Checking row ${i + 2}: UserID ${userId}, EVM ${evmAddress}`);
+    logger.debug('📝 Checking row', { row: i + 2, userId, address: evmAddress });
     
-    // Check if any cell in the row is already colored
-    const hasColoredCell = colorCells.some(cell => 
-      isColor(cell, 'LIGHT_ORANGE') || isColor(cell, 'LIGHT_RED') || 
-      isColor(cell, 'VERY_LIGHT_AMBER') || isColor(cell, 'VERY_LIGHT_BLUE')
-    );
-    
-    if (hasColoredCell) {
-      console.log(`🚫 Row ${i + 2}: Has colored cells, skipping`);
+    const approved = status === STATUS.APPROVED;
+    if (status && !approved) {
+      logger.debug('🚫 Row already processed, skipping', { row: i + 2, status });
+      continue;
+    }
+
+    const listed = accessLists.match({ userId, address: evmAddress });
+    if (listed.blocked) {
+      logger.info('⛔ Blocklisted row', { row: i + 2, userId, address: evmAddress, entry: listed.blocked.value });
+      outcomes.set(i + 2, { status: STATUS.BLOCKED, reason: `Blocklisted ${listed.blocked.kind}: ${listed.blocked.reason}` });
+      blockedRows++;
+      continue;
+    }
+
+    const wallet = validateAddress(evmAddress);
+    if (!wallet.valid) {
+      logger.info('🔴 Invalid wallet', { row: i + 2, userId, address: evmAddress, reason: wallet.reason });
+      outcomes.set(i + 2, { status: STATUS.INVALID_WALLET, reason: wallet.reason });
+      invalidWallets++;
       continue;
     }
     
     // Check if UserID already exists
     if (seenUserIds.has(userId)) {
-      console.log(`🟠 Row ${i + 2}: Duplicate entry - UserID exists: true`);
-      // Color only the specific cell that is duplicate (UserID)
-      requests.push({
-        repeatCell: {
-          range: {
-            sheetId: sheetId,
-            startRowIndex: i + 1,
-            endRowIndex: i + 2,
-            startColumnIndex: 3, // Column D
-            endColumnIndex: 4,   // Column D
-          },
-          cell: {
-            userEnteredFormat: {
-              backgroundColor: COLORS.LIGHT_ORANGE,
-            },
-          },
-          fields: 'userEnteredFormat.backgroundColor',
-        },
-      });
+      logger.info('🟠 Duplicate user ID in an earlier row', { row: i + 2, userId });
+      outcomes.set(i + 2, { status: STATUS.DUPLICATE_USER, reason: `UserID ${userId} already submitted in an earlier row` });
       duplicateCount++;
     } else {
-      console.log(`✅ Row ${i + 2}: Not a duplicate - adding to valid entries`);
+      logger.debug('✅ Row is not a duplicate', { row: i + 2, userId });
       seenUserIds.add(userId);
-      seenEvmAddresses.add(evmAddress);
-      // Add to valid entries for export (before role check)
-      validEntriesForExport.push({ rowIndex: i + 1, evmAddress: evmAddress, userId: userId });
+      validEntriesForExport.push({ rowIndex: i + 1, evmAddress: wallet.address, userId: userId, allowlisted: Boolean(listed.allowed), approved });
     }
   }
   
-  console.log(`\n📊 Duplicate Summary: ${duplicateCount} rows have duplicate cells colored LIGHT_ORANGE`);
-  console.log(`📊 Valid entries collected: ${validEntriesForExport.length}`);
+  logger.info('📊 Duplicate summary', { repeatedUserIdRows: duplicateCount, validEntries: validEntriesForExport.length });
 
   // 3. Second pass: Check for role and remove invalid entries from export list
-  console.log('\n🔍 Checking roles and removing invalid entries from export...');
-  let lightRedCount = 0;
+  await enterStep('checking member roles');
+  logger.debug('🔍 Checking roles and removing invalid entries from export');
   let finalValidEntries = [];
-  let unverifiedMembers = 0;
+  const memberCounts = {
+    [MEMBER_CHECK.LACKS_ROLE]: 0,
+    [MEMBER_CHECK.NOT_MEMBER]: 0,
+    [MEMBER_CHECK.INVALID_ID]: 0,
+  };
+  const joinedAt = new Map();
+  let allowlistedRows = 0;
+  const memberChecks = await checkMembers(
+    guild, validEntriesForExport.filter(entry => !entry.allowlisted).map(entry => entry.userId), campaign.roleId, joinedAt
+  );
   
   for (let entry of validEntriesForExport) {
     const i = entry.rowIndex - 1; // Convert back to array index
     const userId = entry.userId;
+    const check = memberChecks.get(userId);
     
-    console.log(`\n📝 Checking role for row ${i + 2}: UserID ${userId}`);
-    
-    // Check for role - color LIGHT_RED if user does NOT have the role
-    if (!(await userHasRole(guild, userId, ROLE_ID))) {
-      console.log(`🔴 Row ${i + 2}: User does NOT have role - coloring UserID cell (column D) LIGHT_RED`);
-      requests.push({
-        repeatCell: {
-          range: {
-            sheetId: sheetId,
-            startRowIndex: i + 1,
-            endRowIndex: i + 2,
-            startColumnIndex: 3, // Column D
-            endColumnIndex: 4,   // Column D
-          },
-          cell: {
-            userEnteredFormat: {
-              backgroundColor: COLORS.LIGHT_RED,
-            },
-          },
-          fields: 'userEnteredFormat.backgroundColor',
-        },
-      });
-      lightRedCount++;
-      unverifiedMembers++;
-      // Remove from export list
-      console.log(`🚫 Row ${i + 2}: Removed from export (no role)`);
+    if (entry.allowlisted && !isSnowflake(userId)) {
+      // The member check is the only user ID validation, so an allowlisted wallet still needs a valid ID
+      const { status, reason } = MEMBER_CHECK_OUTCOMES[MEMBER_CHECK.INVALID_ID];
+      logger.info('🔴 Allowlisted row with an invalid user ID, removed from export', { row: i + 2, userId });
+      outcomes.set(i + 2, { status, reason: reason(userId) });
+      memberCounts[MEMBER_CHECK.INVALID_ID]++;
+    } else if (entry.allowlisted) {
+      logger.info('🟢 Allowlisted, role check skipped', { row: i + 2, userId });
+      allowlistedRows++;
+      finalValidEntries.push(entry);
+    } else if (check !== MEMBER_CHECK.HAS_ROLE) {
+      const { status, reason } = MEMBER_CHECK_OUTCOMES[check];
+      logger.info('🔴 Member check failed, removed from export', { row: i + 2, userId, check });
+      outcomes.set(i + 2, { status, reason: reason(userId, campaign.roleId) });
+      memberCounts[check]++;
     } else {
-      console.log(`✅ Row ${i + 2}: User has role - keeping in export list`);
+      logger.debug('✅ Member has the role', { row: i + 2, userId });
       finalValidEntries.push(entry);
     }
   }
+  const unverifiedMembers = memberCounts[MEMBER_CHECK.LACKS_ROLE];
   
-  console.log(`\n📊 Role Summary: ${lightRedCount} UserID cells colored LIGHT_RED`);
-  console.log(`📊 Final valid entries for export: ${finalValidEntries.length}`);
-  
-  if (requests.length > 0) {
-    console.log(`🎨 Applying ${requests.length} color changes...`);
-    await sheets.spreadsheets.batchUpdate({ spreadsheetId: SHEET_ID, requestBody: { requests } });
-    console.log(`✅ Color changes applied successfully`);
-  }
+  logger.info('📊 Role summary', {
+    lacksRole: unverifiedMembers,
+    notMember: memberCounts[MEMBER_CHECK.NOT_MEMBER],
+    invalidUserId: memberCounts[MEMBER_CHECK.INVALID_ID],
+    validEntries: finalValidEntries.length,
+  });
 
-  // 4. Export the collected valid entries
-  console.log('\n📦 Exporting collected valid entries...');
+  // 4. Only export entries that are NOT duplicates in column E or D, holding back high-risk ones for review
+  logger.debug('📦 Exporting collected valid entries');
   let exportValues = [];
   let exportRowIndices = [];
+  let exportEntries = [];
+  const heldEntries = [];
+  // Every campaign's earlier batches count, so a wallet reused across campaigns is caught too
+  const riskHistory = campaign.riskThreshold > 0
+    ? indexBatches(campaigns.flatMap(c => c.ledger.all()).filter(batch => !batch.rolledBackAt))
+    : null;
 
-  // Step 1: Count all user IDs
-  const userIds = rows.map(row => row[3]);
-  const userIdCount = {};
-  userIds.forEach(id => {
-    if (id) userIdCount[id] = (userIdCount[id] || 0) + 1;
-  });
-  const duplicateUserIds = Object.keys(userIdCount).filter(id => userIdCount[id] > 1);
-
-  // Only export entries that are NOT duplicates in column E or D
   for (let entry of finalValidEntries) {
-    const row = rows[entry.rowIndex - 1];
-    const evmAddress = row[4];
-    const userId = row[3];
-    if (!duplicateEvm.includes(evmAddress) && !duplicateUserIds.includes(userId)) {
-      console.log(`📄 Row ${entry.rowIndex}: Adding ${evmAddress} to export list`);
-      exportValues.push(entry.evmAddress);
-      exportRowIndices.push(entry.rowIndex);
+    const { evmAddress, userId } = entry;
+    const addressKey = normalizeAddress(evmAddress);
+    // Allowlisted and admin-approved rows are trusted, so they are never held
+    const risk = riskHistory && !entry.allowlisted && !entry.approved ? scoreEntry(entry, rows, joinedAt, riskHistory) : null;
+    if (duplicateEvm.includes(addressKey)) {
+      logger.info('⏭️ Skipped from export: duplicate wallet', { row: entry.rowIndex + 1, userId, address: evmAddress });
+      outcomes.set(entry.rowIndex + 1, { status: STATUS.DUPLICATE_WALLET, reason: `Wallet appears in ${evmCount[addressKey]} rows` });
+    } else if (duplicateUserIds.includes(userId)) {
+      logger.info('⏭️ Skipped from export: duplicate user ID', { row: entry.rowIndex + 1, userId });
+      outcomes.set(entry.rowIndex + 1, { status: STATUS.DUPLICATE_USER, reason: `UserID appears in ${userIdCount[userId]} rows` });
+    } else if (risk && risk.score > campaign.riskThreshold) {
+      logger.info('🕵️ Held for review: high risk score', { row: entry.rowIndex + 1, userId, score: risk.score, reasons: risk.reasons });
+      outcomes.set(entry.rowIndex + 1, { status: STATUS.HIGH_RISK, reason: `Risk score ${risk.score}: ${risk.reasons.join('; ')}` });
+      heldEntries.push({ rowNumber: entry.rowIndex + 1, userId, address: evmAddress, ...risk });
     } else {
-      console.log(`⏭️ Row ${entry.rowIndex}: Skipped from export (duplicate wallet or userID: ${evmAddress}, ${userId})`);
+      logger.debug('📄 Adding row to export list', { row: entry.rowIndex + 1, userId, address: evmAddress });
+      exportValues.push(evmAddress);
+      exportRowIndices.push(entry.rowIndex);
+      exportEntries.push({ rowNumber: entry.rowIndex + 1, userId, address: evmAddress });
+      outcomes.set(entry.rowIndex + 1, { status: STATUS.EXPORTED, reason: '' });
     }
   }
 
-  console.log(`\n📊 Export Summary: ${exportValues.length} addresses ready for export`);
+  logger.info('📊 Addresses ready for export', { addresses: exportValues.length });
 
-  // Find the last cell with export color to determine next color
-  let lastExportColor = null;
-  for (let i = colorRows.length - 1; i >= 0; i--) {
-    const colorCells = colorRows[i].values || [];
-    const hasAmber = colorCells.some(cell => isColor(cell, 'VERY_LIGHT_AMBER'));
-    const hasBlue = colorCells.some(cell => isColor(cell, 'VERY_LIGHT_BLUE'));
-    if (hasAmber) {
-      lastExportColor = 'VERY_LIGHT_AMBER';
-      console.log(`🎨 Found last export color: VERY_LIGHT_AMBER in row ${i + 2}`);
-      break;
-    } else if (hasBlue) {
-      lastExportColor = 'VERY_LIGHT_BLUE';
-      console.log(`🎨 Found last export color: VERY_LIGHT_BLUE in row ${i + 2}`);
-      break;
-    }
-  }
-  // Determine which color to use for new exports
-  let currentExportColor;
-  if (lastExportColor === 'VERY_LIGHT_AMBER') {
-    currentExportColor = 'VERY_LIGHT_BLUE'; // Use blue if last was amber
-    console.log(`🎨 Using VERY_LIGHT_BLUE for new exports (last export was amber)`);
-  } else if (lastExportColor === 'VERY_LIGHT_BLUE') {
-    currentExportColor = 'VERY_LIGHT_AMBER'; // Use amber if last was blue
-    console.log(`🎨 Using VERY_LIGHT_AMBER for new exports (last export was blue)`);
-  } else {
-    currentExportColor = 'VERY_LIGHT_AMBER'; // Default to amber if no previous exports
-    console.log(`🎨 Using VERY_LIGHT_AMBER for new exports (no previous exports found)`);
+  const rejectedEntries = [...outcomes]
+    .filter(([, outcome]) => outcome.status !== STATUS.EXPORTED)
+    .map(([rowNumber, outcome]) => ({ rowNumber, ...outcome }));
+
+  if (preview) {
+    logger.info('👀 Preview: skipping status updates', { rows: rejectedEntries.length });
+  } else if (rejectedEntries.length > 0) {
+    await enterStep('writing rejected row statuses');
+    await writeRowStatuses(campaign, rejectedEntries);
+    const requests = getStatusColorRequests(rejectedEntries, sheetId);
+    await sheets.spreadsheets.batchUpdate({ spreadsheetId: campaign.spreadsheetId, requestBody: { requests } });
+    logger.info('🎨 Rejected row colors applied', { changes: requests.length });
   }
 
+  const currentExportColor = await getNextExportColor(campaign, rows);
+  logger.debug('🎨 Export color chosen', { color: currentExportColor });
+
+  const now = new Date();
+  const batchId = now.toISOString().replace(/[-:]/g, '').replace('T', '-').replace(/\..+/, '');
+  const summary = {
+    batchId,
+    processed: rows.length,
+    userIdDuplicates: duplicateUserIds.length,
+    walletDuplicates: duplicateEvm.length,
+    invalidWallets,
+    unverifiedMembers,
+    notMembers: memberCounts[MEMBER_CHECK.NOT_MEMBER],
+    invalidUserIds: memberCounts[MEMBER_CHECK.INVALID_ID],
+    blocked: blockedRows,
+    allowlisted: allowlistedRows,
+    exported: exportValues.length,
+    heldForReview: heldEntries.length,
+    riskThreshold: riskHistory ? campaign.riskThreshold : undefined, // Unset when risk scoring is off
+    intake: intakeResult,
+  };
+  const summaryLines = buildSummaryLines(summary, now.toISOString());
+
   // 5. Send txt file to channel
-  if (exportValues.length > 0) {
-    console.log(`📤 Sending ${exportValues.length} addresses to Discord...`);
-    const buffer = Buffer.from(exportValues.join('\n'), 'utf-8');
-    const attachment = new AttachmentBuilder(buffer, { name: 'export.txt' });
-    await channel.send({ files: [attachment] });
-    console.log(`✅ File sent to Discord channel`);
+  if (preview) {
+    await enterStep('posting the preview report');
+    const files = [
+      ...buildTextFiles(buildPreviewReport(campaign, rows, outcomes), { baseName: 'preview-report', maxBytes: EXPORT_MAX_BYTES }),
+      ...(exportEntries.length > 0 ? getExportFiles(exportEntries, batchId, now.toISOString(), 'export-preview') : []),
+    ];
+    await sendFiles(
+      channel,
+      files,
+      `**Export Preview: ${campaign.id}** (no rows updated, nothing exported)\n${summaryLines}\nNext export color: ${currentExportColor}`
+    );
+    logger.info('✅ Preview report sent', { channelId: campaign.channelId });
+  } else if (exportValues.length > 0) {
+    await enterStep('recording the rows\' current state');
+    const snapshots = await getRowSnapshots(campaign, rows, exportEntries.map(entry => entry.rowNumber));
+
+    await enterStep('posting the export file');
+    const files = getExportFiles(exportEntries, batchId, now.toISOString());
+    await sendFiles(channel, files);
+    logger.info('📤 Export files sent', { channelId: campaign.channelId, batchId, addresses: exportValues.length, files: files.length });
+
+    // The file is already out, so a ledger failure must not stop the rows from being marked
+    try {
+      campaign.ledger.record({
+        id: batchId,
+        createdAt: now.toISOString(),
+        runId,
+        trigger,
+        entries: exportEntries.map(entry => ({ ...entry, previous: snapshots.get(entry.rowNumber) })),
+        summary,
+      });
+      logger.info('📒 Batch recorded in ledger', { batchId });
+    } catch (error) {
+      logger.error('❌ Failed to record batch in ledger', { batchId, error });
+    }
 
     // Send summary message
-    const now = new Date();
-    const utcString = now.toISOString().replace('T', ' ').replace(/\..+/, '');
-    const processedCount = rows.length;
-    const userIdDupCount = duplicateUserIds.length;
-    const walletDupCount = duplicateEvm.length;
-    const exportedCount = exportValues.length;
     const summaryMsg =
-      `**Export Summary**\n` +
-      `Date (UTC): ${utcString}\n` +
-      `Entries processed: ${processedCount}\n` +
-      `UserID duplicates: ${userIdDupCount}\n` +
-      `Wallet duplicates: ${walletDupCount}\n` +
-      `Unverified members: ${unverifiedMembers}\n` +
-      `Exported EVM addresses: ${exportedCount}` +
-      (ADD_TXT ? `\n\n${ADD_TXT}` : '');
+      `**Export Summary: ${campaign.id}**\n` +
+      `Batch: ${batchId}\n` +
+      `Triggered by: ${describeTrigger(trigger)}\n` +
+      summaryLines +
+      (campaign.summaryText ? `\n\n${campaign.summaryText}` : '');
     await channel.send(summaryMsg);
   } else {
-    console.log(`ℹ️ No fresh addresses to export`);
+    logger.info('ℹ️ No fresh addresses to export');
+  }
+
+  if (!preview && heldEntries.length > 0) {
+    await enterStep('posting the review list');
+    await channel.send(describeHeldEntries(campaign, heldEntries));
   }
 
-  // 6. Color all exported rows with the determined color
-  if (exportRowIndices.length > 0) {
-    console.log('\n🎨 Coloring exported rows...');
+  // 6. Mark all exported rows with the batch ID, then color them
+  if (!preview && exportRowIndices.length > 0) {
+    await enterStep('marking exported rows');
+    logger.debug('📝 Marking exported rows', { rows: exportRowIndices.length, batchId });
+    await writeRowStatuses(campaign, exportRowIndices.map(idx => ({
+      rowNumber: idx + 1,
+      status: STATUS.EXPORTED,
+      batchId,
+      exportedAt: now.toISOString(),
+    })));
+
     let requests2 = [];
-    
-    console.log(`🎨 Coloring all ${exportRowIndices.length} exported rows with ${currentExportColor} (columns A-G)`);
-    
     for (let idx of exportRowIndices) {
       requests2.push(getColorRequest(idx, currentExportColor, sheetId));
     }
     
-    console.log(`📊 Coloring Summary: All ${exportRowIndices.length} rows colored ${currentExportColor}`);
-    
-    if (requests2.length > 0) {
-      console.log(`🎨 Applying ${requests2.length} color changes...`);
-      await sheets.spreadsheets.batchUpdate({ spreadsheetId: SHEET_ID, requestBody: { requests: requests2 } });
-      console.log(`✅ Color changes applied successfully`);
+    await sheets.spreadsheets.batchUpdate({ spreadsheetId: campaign.spreadsheetId, requestBody: { requests: requests2 } });
+    logger.info('🎨 Exported rows colored', { rows: requests2.length, color: currentExportColor });
+  }
+
+  // 7. Tell rejected applicants why, once per reason
+  if (!preview && REJECTION_DMS && rejectedEntries.length > 0) {
+    await enterStep('sending rejection DMs');
+    logger.debug('📨 Sending rejection DMs', { rows: rejectedEntries.length });
+    summary.rejectionDms = await campaign.rejectionNotifier.notify(rejectedEntries.map(entry => ({
+      ...entry,
+      userId: rows[entry.rowNumber - 2][3],
+      address: rows[entry.rowNumber - 2][4],
+    })));
+    const { sent, alreadyNotified, failed, dmClosed, gaveUp } = summary.rejectionDms;
+    logger.info('📊 Rejection DM summary', summary.rejectionDms);
+    if (sent + failed > 0) {
+      // The export is already posted, so a failed summary message must not fail the run
+      await channel.send(`📨 Rejection DMs: ${sent} sent, ${failed} failed (${dmClosed} with DMs closed), ${alreadyNotified} already notified, ${gaveUp} not retried`)
+        .catch(error => logger.warn('⚠️ Failed to post rejection DM summary', { error }));
     }
   }
 
-  console.log('\n✅ Sheet processing completed successfully!');
+  logger.info('✅ Sheet processing completed', { preview, batchId, exported: summary.exported });
+  return summary;
 }
 
-client.on('messageCreate', async (message) => {
-  if (
-    message.channel.id === EXPORT_CHANNELID &&
-    message.content.trim().toLowerCase() === `!${COMMAND.toLowerCase()}`
-  ) {
-    // Check admin permissions
-    if (message.member && message.member.permissions.has('Administrator')) {
-      await message.channel.send('⏳ Export process started by admin...');
-      try {
-        await processSheetAndExport();
-        await message.channel.send('✅ Export process finished!');
-      } catch (err) {
-        console.error(err);
-        await message.channel.send('❌ Export process failed!');
+// Sybil-risk score of an export candidate from its account age, join time and earlier batches
+function scoreEntry(entry, rows, joinedAt, riskHistory) {
+  return scoreCandidate({
+    userId: entry.userId,
+    address: entry.evmAddress,
+    submittedAt: parseSubmittedAt(rows[entry.rowIndex - 1][0]),
+    joinedAt: joinedAt.get(entry.userId) || null,
+  }, riskHistory);
+}
+
+const MAX_REVIEW_LINES = 15;
+
+function describeHeldEntries(campaign, heldEntries) {
+  const lines = [...heldEntries]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_REVIEW_LINES)
+    .map(entry => `• Row ${entry.rowNumber} — user ${entry.userId} — \`${entry.address}\` — score ${entry.score}: ${entry.reasons.join('; ')}`);
+  const more = heldEntries.length - lines.length;
+  return `🕵️ **Held for manual review: ${campaign.id}** (${heldEntries.length} rows, status \`${STATUS.HIGH_RISK}\`)\n` +
+    lines.join('\n') +
+    (more > 0 ? `\n…and ${more} more (see the Reason column)` : '') +
+    `\nSet a row's Status cell to \`${STATUS.APPROVED}\` to export it on the next run, or allowlist the user or wallet.`;
+}
+
+function adminTrigger(message) {
+  return { type: 'admin', userId: message.author.id, userTag: message.author.tag };
+}
+
+// Admin subcommands of a campaign's export command: `!export`, `!export preview`, ...
+// Handlers get the campaign whose channel and command were used.
+// Subcommands with `announce: false` skip the started/finished messages.
+const MAX_LIST_LINES = 20;
+
+function describeListEntry(entry) {
+  const author = entry.addedBy.userTag || entry.addedBy.userId;
+  return `• \`${entry.value}\` — ${entry.reason} — by ${author}, ${entry.addedAt.replace('T', ' ').replace(/\..+/, '')} UTC`;
+}
+
+// `block`/`allow <wallet or user ID> <reason>`: add to a campaign list, recording the reason and the admin
+function listAddSubcommand(listName, label) {
+  return {
+    label,
+    announce: false,
+    handler: async (campaign, message, [value, ...reasonWords]) => {
+      const reason = reasonWords.join(' ');
+      if (!parseListValue(value) || !reason) {
+        await message.reply(`❌ Usage: ${listName === 'blocklist' ? 'block' : 'allow'} <wallet address or user ID> <reason>`);
+        return;
+      }
+      const { userId, userTag } = adminTrigger(message);
+      const entry = campaign.accessLists.add(listName, value, reason, { userId, userTag });
+      logger.info('📝 List entry added', { campaign: campaign.id, list: listName, value: entry.value, reason, userId });
+      await message.channel.send(`✅ Added to the ${listName}: ${describeListEntry(entry).slice(2)}`);
+    },
+  };
+}
+
+// `unblock`/`unallow <wallet or user ID>`: remove from a campaign list
+function listRemoveSubcommand(listName, label) {
+  return {
+    label,
+    announce: false,
+    handler: async (campaign, message, [value]) => {
+      if (!value) {
+        await message.reply(`❌ Usage: ${listName === 'blocklist' ? 'unblock' : 'unallow'} <wallet address or user ID>`);
+        return;
+      }
+      const entry = campaign.accessLists.remove(listName, value);
+      if (!entry) {
+        await message.reply(`❌ \`${value}\` is not on the ${listName}`);
+        return;
+      }
+      logger.info('📝 List entry removed', { campaign: campaign.id, list: listName, value: entry.value, userId: message.author.id });
+      await message.channel.send(`🗑️ Removed \`${entry.value}\` from the ${listName}`);
+    },
+  };
+}
+
+const EXPORT_SUBCOMMANDS = {
+  run: {
+    label: 'Export process',
+    handler: async (campaign, message) => {
+      await processSheetAndExport(campaign, { intake: campaign.intakeEnabled, trigger: adminTrigger(message) });
+    },
+  },
+  preview: {
+    label: 'Export preview',
+    handler: async (campaign, message) => {
+      await processSheetAndExport(campaign, { preview: true, trigger: adminTrigger(message) });
+    },
+  },
+  intake: {
+    label: 'Form intake',
+    handler: async (campaign, message) => {
+      if (!campaign.formIntake) throw new Error(`No intake config for campaign ${campaign.id}`);
+      const { accepted, rejected, rejections } = await withSheetLock(
+        campaign, 'Form intake', adminTrigger(message), () => campaign.formIntake.run()
+      );
+      const details = rejections
+        .slice(0, 20)
+        .map(rejection => `• Row ${rejection.rowNumber}: ${rejection.reasons.join('; ')}`);
+      await message.channel.send(
+        `📥 Form responses accepted: ${accepted}, rejected: ${rejected}` +
+        (details.length > 0 ? `\n${details.join('\n')}` : '') +
+        (rejections.length > details.length ? `\n…and ${rejections.length - details.length} more` : '')
+      );
+    },
+  },
+  status: {
+    label: 'Export status',
+    announce: false,
+    handler: async (campaign, message) => {
+      await message.channel.send(describeLastRun(campaign));
+    },
+  },
+  batches: {
+    label: 'Batch list',
+    announce: false,
+    handler: async (campaign, message, [limit]) => {
+      const batches = campaign.ledger.list(parseInt(limit, 10) || 10);
+      if (batches.length === 0) {
+        await message.channel.send('ℹ️ No export batches recorded yet');
+        return;
+      }
+      const lines = batches.map(batch =>
+        `• \`${batch.id}\` — ${batch.entries.length} addresses — ${describeTrigger(batch.trigger)}` +
+        (batch.rolledBackAt ? ' — ↩️ rolled back' : '')
+      );
+      await message.channel.send(`**Recent export batches**\n${lines.join('\n')}`);
+    },
+  },
+  batch: {
+    label: 'Batch summary',
+    announce: false,
+    handler: async (campaign, message, [batchId]) => {
+      const batch = batchId && campaign.ledger.get(batchId);
+      if (!batch) {
+        await message.reply(`❌ Batch not found: ${batchId || '(none given)'}`);
+        return;
+      }
+      const rowNumbers = batch.entries.map(entry => entry.rowNumber);
+      await message.channel.send(
+        `**Export Batch ${batch.id}**\n` +
+        `Triggered by: ${describeTrigger(batch.trigger)}\n` +
+        `${buildSummaryLines(batch.summary, batch.createdAt)}\n` +
+        `Sheet rows: ${rowNumbers.length > 0 ? `${Math.min(...rowNumbers)}-${Math.max(...rowNumbers)}` : 'none'}` +
+        (batch.rolledBackAt
+          ? `\nRolled back: ${batch.rolledBackAt.replace('T', ' ').replace(/\..+/, '')} UTC by ${describeTrigger(batch.rolledBackBy)}`
+          : '')
+      );
+    },
+  },
+  resend: {
+    label: 'Batch re-send',
+    announce: false,
+    handler: async (campaign, message, [batchId]) => {
+      const batch = batchId && campaign.ledger.get(batchId);
+      if (!batch) {
+        await message.reply(`❌ Batch not found: ${batchId || '(none given)'}`);
+        return;
+      }
+      if (batch.rolledBackAt) {
+        await message.reply(`❌ Batch \`${batch.id}\` was rolled back and is not re-sent`);
+        return;
+      }
+      const files = getExportFiles(batch.entries, batch.id, batch.createdAt, `export-${batch.id}`);
+      await sendFiles(message.channel, files, `📤 Re-sending batch \`${batch.id}\``);
+    },
+  },
+  find: {
+    label: 'Wallet lookup',
+    announce: false,
+    handler: async (campaign, message, [address]) => {
+      if (!address) {
+        await message.reply('❌ Usage: find <wallet address>');
+        return;
       }
+      const batches = campaign.ledger.findByAddress(address);
+      await message.channel.send(batches.length > 0
+        ? `🔎 \`${address}\` was exported in: ${batches.map(batch => `\`${batch.id}\`${batch.rolledBackAt ? ' (rolled back)' : ''}`).join(', ')}`
+        : `🔎 \`${address}\` is not in any recorded batch`);
+    },
+  },
+  rollback: {
+    label: 'Batch rollback',
+    handler: async (campaign, message, [batchId]) => {
+      const trigger = adminTrigger(message);
+      await withSheetLock(campaign, 'Batch rollback', trigger, () => rollbackBatch(campaign, batchId, trigger));
+    },
+  },
+  block: listAddSubcommand('blocklist', 'Blocklist entry'),
+  unblock: listRemoveSubcommand('blocklist', 'Blocklist removal'),
+  allow: listAddSubcommand('allowlist', 'Allowlist entry'),
+  unallow: listRemoveSubcommand('allowlist', 'Allowlist removal'),
+  lists: {
+    label: 'List overview',
+    announce: false,
+    handler: async (campaign, message) => {
+      const sections = ['blocklist', 'allowlist'].map(listName => {
+        const entries = campaign.accessLists.entries(listName);
+        const lines = entries.slice(0, MAX_LIST_LINES).map(describeListEntry);
+        return `**${listName === 'blocklist' ? '⛔ Blocklist' : '🟢 Allowlist'}** (${entries.length})\n` +
+          (lines.length > 0 ? lines.join('\n') : '(empty)') +
+          (entries.length > lines.length ? `\n…and ${entries.length - lines.length} more` : '');
+      });
+      await message.channel.send(sections.join('\n\n'));
+    },
+  },
+  migrate: {
+    label: 'Color to status migration',
+    handler: async (campaign, message) => {
+      const { migrated, legacyBatches } = await withSheetLock(
+        campaign, 'Color to status migration', adminTrigger(message), () => migrateColorsToStatus(campaign)
+      );
+      await message.channel.send(`🚚 Migrated ${migrated} rows into ${legacyBatches} legacy export batches`);
+    },
+  },
+};
+
+client.on('messageCreate', async (message) => {
+  const [command, subcommand = 'run', ...args] = message.content.trim().split(/\s+/);
+  const campaign = campaigns.find(c =>
+    message.channel.id === c.channelId &&
+    command.toLowerCase() === `!${c.command.toLowerCase()}`
+  );
+  if (!campaign) return;
+
+  // Check admin permissions first, so the subcommand list is only shown to admins
+  if (!message.member || !message.member.permissions.has('Administrator')) {
+    await message.reply('❌ Only server admins can use this command.');
+    return;
+  }
+
+  const sub = EXPORT_SUBCOMMANDS[subcommand.toLowerCase()];
+  if (!sub) {
+    await message.reply(`❌ Unknown subcommand. Available: ${Object.keys(EXPORT_SUBCOMMANDS).join(', ')}`);
+    return;
+  }
+
+  if (sub.announce !== false) await message.channel.send(`⏳ ${sub.label} started by admin...`);
+  try {
+    await sub.handler(campaign, message, args);
+    if (sub.announce !== false) await message.channel.send(`✅ ${sub.label} finished!`);
+  } catch (err) {
+    logger.error(`❌ ${sub.label} failed`, { campaign: campaign.id, runId: err.runId, step: err.step, error: err });
+    await message.channel.send(err.locked
+      ? `🔒 ${sub.label} not started: ${err.message}`
+      : `❌ ${sub.label} failed${err.step ? ` while ${err.step}` : ''}: ${err.message}`);
+  }
+});
+
+// Slash command counterparts of a campaign's export subcommands. Admin-only by default;
+// server admins can grant access to other roles in the integration settings.
+function buildExportSlashCommand(campaign) {
+  return new SlashCommandBuilder()
+    .setName(campaign.command.toLowerCase())
+    .setDescription(`Allowlist export workflow (${campaign.id})`)
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addSubcommand(sub => sub.setName('run').setDescription('Process the sheet and post the export'))
+    .addSubcommand(sub => sub.setName('preview').setDescription('Classify rows and post a report without changing anything'))
+    .addSubcommand(sub => sub.setName('status').setDescription('Show the outcome of the last export run'));
+}
+
+// Registers each guild's campaign export commands plus the ticket system's command, if it initialized
+async function registerSlashCommands() {
+  const guildCommands = new Map(); // Guild -> commands
+  campaigns.forEach(campaign => {
+    const guild = getCampaignGuild(campaign);
+    if (!guild) {
+      logger.error('❌ Bot is not in the campaign guild', { campaign: campaign.id, guildId: campaign.guildId });
+      return;
+    }
+    if (!guildCommands.has(guild)) guildCommands.set(guild, ticketSender ? [ticketSender.getSlashCommand()] : []);
+    guildCommands.get(guild).push(buildExportSlashCommand(campaign));
+  });
+
+  for (const [guild, commands] of guildCommands) {
+    await guild.commands.set(commands.map(command => command.toJSON()));
+    logger.info('✅ Slash commands registered', { guildId: guild.id, commands: commands.map(command => command.name) });
+  }
+}
+
+// Tell the user an interaction failed, whether or not it was already answered
+async function replyWithError(interaction, content) {
+  try {
+    if (interaction.replied || interaction.deferred) {
+      await interaction.editReply(content);
     } else {
-      await message.reply('❌ Only server admins can use this command.');
+      await interaction.reply({ content, ephemeral: true });
     }
+  } catch (err) {
+    logger.warn('❌ Failed to report interaction error', { interactionId: interaction.id, error: err });
+  }
+}
+
+client.on('interactionCreate', async (interaction) => {
+  try {
+    await handleExportInteraction(interaction);
+  } catch (err) {
+    logger.error('❌ Failed in interactionCreate handler', {
+      interactionId: interaction.id,
+      command: interaction.commandName,
+      userId: interaction.user && interaction.user.id,
+      error: err,
+    });
+    await replyWithError(interaction, `❌ Command failed: ${err.message}`);
   }
 });
 
+async function handleExportInteraction(interaction) {
+  if (!interaction.isChatInputCommand()) return;
+  const campaign = campaigns.find(c =>
+    interaction.commandName === c.command.toLowerCase() &&
+    getCampaignGuild(c) && getCampaignGuild(c).id === interaction.guildId
+  );
+  if (!campaign) return;
+
+  const subcommand = interaction.options.getSubcommand();
+  if (subcommand === 'status') {
+    await interaction.reply({ content: describeLastRun(campaign), ephemeral: true });
+    return;
+  }
+
+  const preview = subcommand === 'preview';
+  const label = preview ? 'Export preview' : 'Export process';
+  const trigger = { type: 'admin', userId: interaction.user.id, userTag: interaction.user.tag };
+  // Progress edits are best-effort: the interaction token can expire on long runs
+  const update = (content) => interaction.editReply(content).catch(err => logger.warn('❌ Failed to update reply', { error: err }));
+
+  await interaction.reply({ content: `⏳ ${label} started...`, ephemeral: true });
+  try {
+    const summary = await processSheetAndExport(campaign, {
+      preview,
+      intake: campaign.intakeEnabled,
+      trigger,
+      onProgress: step => update(`⏳ ${label}: ${step}...`),
+    });
+    await update(`✅ ${label} finished! Exported EVM addresses: ${summary.exported}`);
+  } catch (err) {
+    logger.error(`❌ ${label} failed`, { campaign: campaign.id, runId: err.runId, step: err.step, error: err });
+    await update(err.locked
+      ? `🔒 ${label} not started: ${err.message}`
+      : `❌ ${label} failed while ${err.step}: ${err.message}`);
+  }
+}
+
+// Row counts of a run summary exposed as metrics, by summary field
+const RUN_ROW_METRICS = {
+  processed: 'processed',
+  exported: 'exported',
+  userIdDuplicates: 'user_id_duplicate',
+  walletDuplicates: 'wallet_duplicate',
+  invalidWallets: 'invalid_wallet',
+  unverifiedMembers: 'unverified',
+  notMembers: 'not_member',
+  invalidUserIds: 'invalid_user_id',
+  heldForReview: 'held_for_review',
+  blocked: 'blocked',
+  allowlisted: 'allowlisted',
+};
+
+// Ticket counters from TicketSender.stats, by stats field
+const TICKET_COUNTER_METRICS = {
+  ticketsCreated: 'created',
+  ticketsCompleted: 'completed',
+  ticketsAutoAnswered: 'auto_answered',
+  ticketsClosed: 'closed',
+  inactivityReminders: 'inactivity_reminder',
+  ticketsClosedInactive: 'closed_inactive',
+  reusedImagesFlagged: 'reused_image_flagged',
+  slashCommandsExecuted: 'slash_commands',
+  errors: 'errors',
+};
+
+function collectMetrics() {
+  const seconds = date => date ? date.getTime() / 1000 : null;
+  const finishedRuns = campaigns.filter(campaign => campaign.lastRun && campaign.lastRun.finishedAt);
+  const summarizedRuns = finishedRuns.filter(campaign => campaign.lastRun.summary);
+  const metrics = [
+    {
+      name: 'allowlist_discord_connected',
+      help: 'Whether the Discord gateway connection is ready (1) or not (0)',
+      type: 'gauge',
+      samples: [{ value: client.isReady() ? 1 : 0 }],
+    },
+    {
+      name: 'allowlist_export_runs_total',
+      help: 'Export runs since the bot started, by mode and outcome',
+      type: 'counter',
+      samples: campaigns.flatMap(campaign => Object.entries(campaign.runCounts).map(([key, value]) => {
+        const [mode, outcome] = key.split(':');
+        return { labels: { campaign: campaign.id, mode, outcome }, value };
+      })),
+    },
+    {
+      name: 'allowlist_export_last_run_duration_seconds',
+      help: 'Duration of the most recent export run',
+      type: 'gauge',
+      samples: finishedRuns.map(campaign => ({
+        labels: { campaign: campaign.id, mode: campaign.lastRun.preview ? 'preview' : 'export' },
+        value: (campaign.lastRun.finishedAt - campaign.lastRun.startedAt) / 1000,
+      })),
+    },
+    {
+      name: 'allowlist_export_last_success_timestamp_seconds',
+      help: 'Unix time the last successful export run finished',
+      type: 'gauge',
+      samples: campaigns.map(campaign => ({ labels: { campaign: campaign.id }, value: seconds(campaign.lastSuccessAt) })),
+    },
+    {
+      name: 'allowlist_export_last_run_rows',
+      help: 'Row counts of the most recent completed export run, by verdict',
+      type: 'gauge',
+      samples: summarizedRuns.flatMap(campaign => Object.entries(RUN_ROW_METRICS).map(([field, verdict]) => ({
+        labels: { campaign: campaign.id, mode: campaign.lastRun.preview ? 'preview' : 'export', verdict },
+        value: campaign.lastRun.summary[field],
+      }))),
+    },
+  ];
+
+  if (ticketSender) {
+    const stats = ticketSender.getStats();
+    metrics.push(
+      {
+        name: 'allowlist_tickets_total',
+        help: 'Ticket system events since the bot started',
+        type: 'counter',
+        samples: Object.entries(TICKET_COUNTER_METRICS).map(([field, event]) => ({ labels: { event }, value: stats[field] })),
+      },
+      {
+        name: 'allowlist_tickets_active',
+        help: 'Tickets currently tracked as open',
+        type: 'gauge',
+        samples: [{ value: stats.activeTickets }],
+      },
+      {
+        name: 'allowlist_tickets_pending_closures',
+        help: 'Closed tickets waiting for deletion',
+        type: 'gauge',
+        samples: [{ value: stats.pendingClosures }],
+      }
+    );
+  }
+  return metrics;
+}
+
+// Healthy when the gateway is ready and every campaign's spreadsheet answers in time
+// Whether the campaign's spreadsheet answers, as an error message or null. Concurrent probes share one
+// request and the result, failures included, is reused for HEALTH_CHECK_TTL_MS.
+function checkSheetsReachable(campaign) {
+  const cached = campaign.sheetsHealth;
+  if (cached && Date.now() - cached.checkedAt < HEALTH_CHECK_TTL_MS) return cached.error;
+
+  const timeout = new Promise((resolve, reject) => setTimeout(() => reject(new Error('Timed out')), HEALTH_CHECK_TIMEOUT_MS));
+  const error = Promise.race([
+    sheets.spreadsheets.get({ spreadsheetId: campaign.spreadsheetId, fields: 'spreadsheetId' }),
+    timeout,
+  ]).then(() => null, err => err.message);
+  campaign.sheetsHealth = { error, checkedAt: Date.now() };
+  return error;
+}
+
+async function checkHealth() {
+  const campaignHealth = {};
+  await Promise.all(campaigns.map(async campaign => {
+    const sheetsError = await checkSheetsReachable(campaign);
+    campaignHealth[campaign.id] = {
+      sheetsReachable: !sheetsError,
+      sheetsError,
+      lastSuccessfulExport: campaign.lastSuccessAt ? campaign.lastSuccessAt.toISOString() : null,
+    };
+  }));
+
+  const discordConnected = client.isReady();
+  return {
+    healthy: discordConnected && Object.values(campaignHealth).every(health => health.sheetsReachable),
+    discord: { connected: discordConnected, pingMs: discordConnected ? client.ws.ping : null },
+    campaigns: campaignHealth,
+  };
+}
+
+if (MONITORING_PORT) {
+  createMonitoringServer({ collectMetrics, checkHealth })
+    // A busy or privileged port must not take the bot down with it
+    .on('error', error => logger.error('❌ Monitoring server failed, metrics and health check unavailable', { port: MONITORING_PORT, error }))
+    .listen(MONITORING_PORT, () => {
+      logger.info('📈 Monitoring server listening', { port: MONITORING_PORT, paths: ['/metrics', '/healthz'] });
+    });
+}
+
 client.once('ready', async () => {
-  console.log(`🤖 Logged in as ${client.user.tag}`);
-  console.log(`📋 Processing sheet: ${SHEET_ID}`);
-  console.log(`🎯 Target tab: ${SHEET_NAME}`);
-  console.log(`👥 Role ID: ${ROLE_ID}`);
-  console.log(`📤 Export channel: ${EXPORT_CHANNELID}`);
-  console.log(`⏰ Cron schedule: ${process.env.CRON_SCHEDULE}`);
+  logger.info('🤖 Logged in', {
+    botTag: client.user.tag,
+    exportFormats: EXPORT_FORMATS,
+    exportMaxBytes: EXPORT_MAX_BYTES,
+    rejectionDms: REJECTION_DMS,
+    logLevel: LOG_LEVEL,
+    logFile: LOG_FILE,
+  });
+  campaigns.forEach(campaign => {
+    logger.info('📣 Campaign configured', {
+      campaign: campaign.id,
+      spreadsheetId: campaign.spreadsheetId,
+      sheet: campaign.sheetName,
+      statusColumns: `${campaign.statusColumn}-${campaign.columns.last}`,
+      guildId: campaign.guildId || 'first guild',
+      roleId: campaign.roleId,
+      channelId: campaign.channelId,
+      command: campaign.command,
+      schedule: campaign.schedule,
+      intake: campaign.intakeEnabled && campaign.formIntake ? campaign.intakeConfig : false,
+    });
+  });
   
   // Initialize the ticket sender system
   try {
-    ticketSender = new TicketSender(client);
+    ticketSender = new TicketSender(client, { lookupSubmission: findSubmission });
     ticketSender.init();
-    console.log('🎫 Ticket system initialized successfully');
-    
-    // Log ticket system configuration
-    console.log(`🗂️ Ticket category: ${process.env.TICKET_CAT}`);
-    console.log(`⏰ Close hours: ${parseFloat(process.env.CLOSE_HOURS) || 1}`);
-    console.log(`🔧 Debug mode: ${process.env.DEBUG_MODE || 'false'}`);
+    logger.info('🎫 Ticket system initialized', {
+      ticketCategory: process.env.TICKET_CAT,
+      closeHours: parseFloat(process.env.CLOSE_HOURS) || 1,
+    });
   } catch (error) {
-    console.error('❌ Failed to initialize ticket system:', error);
+    logger.error('❌ Failed to initialize ticket system', { error });
+  }
+
+  try {
+    await registerSlashCommands();
+  } catch (error) {
+    logger.error('❌ Failed to register slash commands', { error });
   }
   
-  // Use cron schedule from .env
-  cron.schedule(process.env.CRON_SCHEDULE, async () => {
-    console.log('\n⏰ Scheduled run triggered...');
-    await processSheetAndExport();
+  // One schedule per campaign
+  campaigns.forEach(campaign => {
+    if (!cron.validate(campaign.schedule)) {
+      logger.error('❌ Invalid cron schedule', { campaign: campaign.id, schedule: campaign.schedule });
+      return;
+    }
+    cron.schedule(campaign.schedule, () => runScheduledExport(campaign));
   });
 });
 
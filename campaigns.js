@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+const { DEFAULT_RISK_THRESHOLD } = require('./risk.js');
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+const REQUIRED_FIELDS = ['id', 'spreadsheetId', 'sheetName', 'roleId', 'channelId', 'command', 'schedule'];
+
+/**
+ * Single campaign described by the original environment variables, used when there is no campaign config file
+ */
+function campaignFromEnv(env) {
+    const intakeEnabled = env.INTAKE_ENABLED === 'true';
+    return {
+        id: 'default',
+        spreadsheetId: env.GOOGLE_SHEET_ID,
+        sheetName: 'Processed',
+        guildId: env.GUILD_ID || null,
+        roleId: env.ROLE_ID,
+        channelId: env.EXPORT_CHANNELID,
+        command: env.COMMAND || 'export',
+        schedule: env.CRON_SCHEDULE,
+        summaryText: env.ADD_TXT || '',
+        statusColumn: env.STATUS_COLUMN || 'M',
+        // intake.json is only read when intake is configured or enabled, so deployments without it still start
+        intakeConfig: env.INTAKE_CONFIG || (intakeEnabled ? path.join(__dirname, 'intake.json') : null),
+        intakeEnabled,
+        ledgerFile: env.EXPORT_LEDGER || path.join(DATA_DIR, 'batches.json'),
+        notifierFile: env.NOTIFIER_STORE || path.join(DATA_DIR, 'notifications.json'),
+        listsFile: env.ACCESS_LISTS || path.join(DATA_DIR, 'lists.json'),
+        riskThreshold: env.RISK_THRESHOLD !== undefined ? parseFloat(env.RISK_THRESHOLD) : DEFAULT_RISK_THRESHOLD
+    };
+}
+
+/**
+ * Fill in optional fields of a campaign from the config file. State files are kept per campaign,
+ * and relative paths are resolved against the config file's directory.
+ */
+function withDefaults(campaign, baseDir) {
+    const resolve = file => file ? path.resolve(baseDir, file) : null;
+    return {
+        guildId: null,
+        summaryText: '',
+        statusColumn: 'M',
+        riskThreshold: DEFAULT_RISK_THRESHOLD, // Rows scoring above it are held for review; 0 (the default) turns scoring off
+        ...campaign,
+        command: (campaign.command || '').toLowerCase(),
+        intakeConfig: resolve(campaign.intakeConfig),
+        intakeEnabled: campaign.intakeEnabled !== undefined ? campaign.intakeEnabled : Boolean(campaign.intakeConfig),
+        ledgerFile: resolve(campaign.ledgerFile) || path.join(DATA_DIR, `batches-${campaign.id}.json`),
+        notifierFile: resolve(campaign.notifierFile) || path.join(DATA_DIR, `notifications-${campaign.id}.json`),
+        listsFile: resolve(campaign.listsFile) || path.join(DATA_DIR, `lists-${campaign.id}.json`)
+    };
+}
+
+function validateCampaigns(campaigns, source) {
+    const ids = new Set();
+    const commands = new Set();
+    campaigns.forEach(campaign => {
+        const missing = REQUIRED_FIELDS.filter(field => !campaign[field]);
+        if (missing.length > 0) {
+            throw new Error(`Campaign "${campaign.id || '?'}" in ${source} is missing ${missing.join(', ')}`);
+        }
+        if (typeof campaign.riskThreshold !== 'number' || !(campaign.riskThreshold >= 0)) {
+            throw new Error(`Campaign "${campaign.id}" in ${source} needs a riskThreshold of 0 or more`);
+        }
+        if (ids.has(campaign.id)) throw new Error(`Duplicate campaign id "${campaign.id}" in ${source}`);
+        ids.add(campaign.id);
+
+        // Commands are registered per guild, so a name can only be used once per guild
+        const commandKey = `${campaign.guildId || '*'}:${campaign.command}`;
+        if (commands.has(commandKey)) {
+            throw new Error(`Command "${campaign.command}" is used by more than one campaign in the same guild (${source})`);
+        }
+        commands.add(commandKey);
+    });
+    return campaigns;
+}
+
+/**
+ * Load campaign profiles from a JSON file ({ "campaigns": [...] }), or fall back to one campaign from env
+ */
+function loadCampaigns(filePath, env = process.env) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return validateCampaigns([campaignFromEnv(env)], 'environment');
+    }
+
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (!Array.isArray(config.campaigns) || config.campaigns.length === 0) {
+        throw new Error(`No campaigns defined in ${filePath}`);
+    }
+    return validateCampaigns(config.campaigns.map(campaign => withDefaults(campaign, path.dirname(filePath))), filePath);
+}
+
+module.exports = {
+    loadCampaigns
+};
@@ -0,0 +1,26 @@
+/**
+ * Spreadsheet column letter helpers (0-based indexes: A = 0)
+ */
+
+function columnToIndex(column) {
+    return column.toUpperCase().split('').reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+function indexToColumn(index) {
+    let column = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        column = String.fromCharCode(65 + ((n - 1) % 26)) + column;
+    }
+    return column;
+}
+
+// A1 range on a named tab; tab names with spaces or quotes must be quoted
+function a1Range(sheetName, range) {
+    return `'${sheetName.replace(/'/g, "''")}'!${range}`;
+}
+
+module.exports = {
+    columnToIndex,
+    indexToColumn,
+    a1Range
+};
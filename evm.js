@@ -0,0 +1,128 @@
+/**
+ * EVM address helpers: normalization and EIP-55 checksum validation
+ */
+
+const ADDRESS_REGEX = /^0x[0-9a-fA-F]{40}$/;
+
+// Keccak-f[1600] round constants and rotation offsets
+const ROUND_CONSTANTS = [
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+    0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+    0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+const ROTATIONS = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14
+];
+const MASK = (1n << 64n) - 1n;
+
+function rotl(value, shift) {
+    const n = BigInt(shift);
+    return n === 0n ? value : ((value << n) | (value >> (64n - n))) & MASK;
+}
+
+function keccakF(state) {
+    for (let round = 0; round < 24; round++) {
+        const c = [];
+        for (let x = 0; x < 5; x++) {
+            c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+        }
+        for (let x = 0; x < 5; x++) {
+            const d = c[(x + 4) % 5] ^ rotl(c[(x + 1) % 5], 1);
+            for (let y = 0; y < 25; y += 5) state[y + x] ^= d;
+        }
+
+        const b = new Array(25);
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                b[y + ((2 * x + 3 * y) % 5) * 5] = rotl(state[x + y * 5], ROTATIONS[x + y * 5]);
+            }
+        }
+
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                state[y + x] = b[y + x] ^ (~b[y + ((x + 1) % 5)] & MASK & b[y + ((x + 2) % 5)]);
+            }
+        }
+
+        state[0] ^= ROUND_CONSTANTS[round];
+    }
+}
+
+/**
+ * Keccak-256 (the pre-standard SHA-3 padding Ethereum uses) of a UTF-8 string, as hex
+ */
+function keccak256(input) {
+    const rate = 136;
+    const bytes = Buffer.from(input, 'utf-8');
+    const padded = Buffer.alloc(Math.floor(bytes.length / rate) * rate + rate);
+    bytes.copy(padded);
+    padded[bytes.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+
+    const state = new Array(25).fill(0n);
+    for (let offset = 0; offset < padded.length; offset += rate) {
+        for (let i = 0; i < rate / 8; i++) {
+            state[i] ^= padded.readBigUInt64LE(offset + i * 8);
+        }
+        keccakF(state);
+    }
+
+    const out = Buffer.alloc(32);
+    for (let i = 0; i < 4; i++) out.writeBigUInt64LE(state[i], i * 8);
+    return out.toString('hex');
+}
+
+/**
+ * Canonical key for comparing addresses: trimmed and lowercased
+ */
+function normalizeAddress(address) {
+    return (address || '').toString().trim().toLowerCase();
+}
+
+/**
+ * EIP-55 mixed-case checksum form of an address
+ */
+function toChecksumAddress(address) {
+    const hex = normalizeAddress(address).replace(/^0x/, '');
+    const hash = keccak256(hex);
+    let result = '0x';
+    for (let i = 0; i < hex.length; i++) {
+        result += parseInt(hash[i], 16) >= 8 ? hex[i].toUpperCase() : hex[i];
+    }
+    return result;
+}
+
+/**
+ * Validate an address. All-lowercase and all-uppercase addresses carry no checksum and are accepted;
+ * mixed-case addresses must match their EIP-55 checksum.
+ * Returns { valid, address (checksummed when valid), reason }.
+ */
+function validateAddress(address) {
+    const raw = (address || '').toString().trim();
+    if (!ADDRESS_REGEX.test(raw)) {
+        return { valid: false, address: raw, reason: 'Not a valid EVM address' };
+    }
+
+    const hex = raw.slice(2);
+    const checksummed = toChecksumAddress(raw);
+    const isMixedCase = hex !== hex.toLowerCase() && hex !== hex.toUpperCase();
+    if (isMixedCase && raw !== checksummed) {
+        return { valid: false, address: raw, reason: 'EIP-55 checksum mismatch' };
+    }
+
+    return { valid: true, address: checksummed, reason: '' };
+}
+
+module.exports = {
+    keccak256,
+    normalizeAddress,
+    toChecksumAddress,
+    validateAddress
+};
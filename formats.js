@@ -0,0 +1,113 @@
+/**
+ * Export file builders (txt / csv / json) with automatic splitting under the upload limit
+ */
+
+const DEFAULT_MAX_BYTES = 8 * 1024 * 1024; // Discord's default upload limit
+
+function csvField(value) {
+    const str = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Each format is header + entries joined by separator + footer, so a chunk's size can be computed up front
+const FORMATS = {
+    txt: {
+        header: () => '',
+        entry: (entry) => entry.address,
+        separator: '\n',
+        footer: ''
+    },
+    csv: {
+        header: () => 'row,user_id,address,batch_id,exported_at\n',
+        entry: (entry, meta) => [entry.rowNumber, entry.userId, entry.address, meta.batchId, meta.exportedAt]
+            .map(csvField)
+            .join(','),
+        separator: '\n',
+        footer: '\n'
+    },
+    json: {
+        header: (meta) => `{"batchId":${JSON.stringify(meta.batchId)},"exportedAt":${JSON.stringify(meta.exportedAt)},"entries":[\n`,
+        entry: (entry) => JSON.stringify({ row: entry.rowNumber, userId: entry.userId, address: entry.address }),
+        separator: ',\n',
+        footer: '\n]}\n'
+    }
+};
+
+/**
+ * Parse a comma separated format list, e.g. "txt,csv". Throws on unknown formats.
+ */
+function parseFormats(value) {
+    const formats = (value || 'txt').split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+    const unknown = formats.filter(format => !FORMATS[format]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown export format(s): ${unknown.join(', ')} (supported: ${Object.keys(FORMATS).join(', ')})`);
+    }
+    return formats;
+}
+
+/**
+ * Split serialized entries into chunks whose total size stays within maxBytes
+ */
+function chunkEntries(lines, fixedBytes, separatorBytes, maxBytes) {
+    const chunks = [];
+    let current = [];
+    let size = fixedBytes;
+    lines.forEach(line => {
+        const lineBytes = Buffer.byteLength(line);
+        if (current.length > 0 && size + separatorBytes + lineBytes > maxBytes) {
+            chunks.push(current);
+            current = [];
+            size = fixedBytes;
+        }
+        size += (current.length > 0 ? separatorBytes : 0) + lineBytes;
+        current.push(line);
+    });
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Build export files for the given entries ({ rowNumber, userId, address }).
+ * Returns [{ name, buffer }], one file per format, or several "-partNofM" files when a format
+ * would exceed maxBytes.
+ */
+function buildExportFiles(entries, { formats = ['txt'], batchId = '', exportedAt = '', baseName = 'export', maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    const meta = { batchId, exportedAt };
+    const files = [];
+
+    formats.forEach(format => {
+        const spec = FORMATS[format];
+        const header = spec.header(meta);
+        const fixedBytes = Buffer.byteLength(header) + Buffer.byteLength(spec.footer);
+        const lines = entries.map(entry => spec.entry(entry, meta));
+        const chunks = chunkEntries(lines, fixedBytes, Buffer.byteLength(spec.separator), maxBytes);
+
+        chunks.forEach((chunk, index) => {
+            const name = chunks.length > 1
+                ? `${baseName}-part${index + 1}of${chunks.length}.${format}`
+                : `${baseName}.${format}`;
+            files.push({ name, buffer: Buffer.from(header + chunk.join(spec.separator) + spec.footer, 'utf-8') });
+        });
+    });
+
+    return files;
+}
+
+/**
+ * Split a plain text report into files of at most maxBytes, breaking between lines.
+ * Returns [{ name, buffer }] named "<baseName>.txt", or "-partNofM" files when it does not fit in one.
+ */
+function buildTextFiles(text, { baseName = 'report', maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    const chunks = chunkEntries(text.split('\n'), 0, 1, maxBytes);
+    return chunks.map((chunk, index) => ({
+        name: chunks.length > 1 ? `${baseName}-part${index + 1}of${chunks.length}.txt` : `${baseName}.txt`,
+        buffer: Buffer.from(chunk.join('\n'), 'utf-8')
+    }));
+}
+
+module.exports = {
+    DEFAULT_MAX_BYTES,
+    parseFormats,
+    buildExportFiles,
+    buildTextFiles
+};
@@ -0,0 +1,145 @@
+/**
+ * Screenshot fingerprints for spotting images reused across tickets. Decoding needs the optional
+ * `sharp` package (`npm install sharp`), which is only loaded once image matching is enabled.
+ */
+
+const JsonStore = require('./store.js');
+
+// dHash grid: 9x8 grayscale pixels give 8 left/right comparisons per row, 64 bits in total
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const DOWNLOAD_TIMEOUT_MS = 15000;
+const MAX_IMAGE_BYTES = 25 * 1024 * 1024;
+const DEFAULT_MAX_IMAGES = 10000;
+
+let sharp = null;
+
+// Throws a readable error when image matching is enabled without sharp installed
+function loadSharp() {
+    if (!sharp) {
+        try {
+            sharp = require('sharp');
+        } catch (error) {
+            throw new Error(`Image matching needs the "sharp" package (npm install sharp): ${error.message}`);
+        }
+    }
+    return sharp;
+}
+
+/**
+ * 64-bit difference hash of an image as 16 hex characters. Survives rescaling, recompression
+ * and small edits, so a re-saved or cropped-by-a-few-pixels screenshot still lands close.
+ */
+async function differenceHash(buffer) {
+    const pixels = await loadSharp()(buffer)
+        .grayscale()
+        .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < HASH_HEIGHT; y++) {
+        for (let x = 0; x < HASH_WIDTH - 1; x++) {
+            const left = pixels[y * HASH_WIDTH + x];
+            const right = pixels[y * HASH_WIDTH + x + 1];
+            hash = (hash << 1n) | (left > right ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two hex hashes
+ */
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff > 0n) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+function tooLarge() {
+    return new Error(`Image is larger than ${MAX_IMAGE_BYTES} bytes`);
+}
+
+/**
+ * Download an image, refusing oversized ones from the size Discord reports (when given) or the
+ * Content-Length header before reading, and stopping the read once it passes MAX_IMAGE_BYTES
+ */
+async function downloadImage(url, size = null) {
+    if (size > MAX_IMAGE_BYTES) throw tooLarge();
+    const res = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+    if (!res.ok) throw new Error(`Image download failed with HTTP ${res.status}`);
+    if (parseInt(res.headers.get('content-length'), 10) > MAX_IMAGE_BYTES) {
+        await res.body.cancel();
+        throw tooLarge();
+    }
+
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of res.body) {
+        length += chunk.length;
+        if (length > MAX_IMAGE_BYTES) throw tooLarge(); // Leaving the loop early cancels the stream
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks, length);
+}
+
+/**
+ * Perceptual hashes of ticket screenshots, kept to spot the same image reused in later tickets
+ */
+class ImageHashStore {
+    /**
+     * `threshold` is the largest Hamming distance (out of 64 bits) still counted as the same image.
+     * The file is read once; only the newest `maxImages` hashes are kept.
+     */
+    constructor(filePath, threshold, maxImages = DEFAULT_MAX_IMAGES) {
+        loadSharp(); // Fail at startup rather than on the first screenshot
+        this.store = new JsonStore(filePath, { images: [] });
+        this.threshold = threshold;
+        this.maxImages = maxImages;
+        this.images = this.store.load().images.slice(-maxImages);
+    }
+
+    /**
+     * Hash of the image at `url`; `size` is the attachment size in bytes, when known
+     */
+    async fingerprint(url, size = null) {
+        return differenceHash(await downloadImage(url, size));
+    }
+
+    /**
+     * Closest stored image from another ticket within the threshold, or null
+     */
+    findMatch(hash, channelId) {
+        let best = null;
+        this.images.forEach(image => {
+            if (image.channelId === channelId) return;
+            const distance = hammingDistance(hash, image.hash);
+            if (distance <= this.threshold && (!best || distance < best.distance)) {
+                best = { ...image, distance };
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Remember an image: { hash, channelId, channelName, userId, messageId, url }
+     */
+    add(image) {
+        this.images.push({ ...image, recordedAt: new Date().toISOString() });
+        if (this.images.length > this.maxImages) {
+            this.images.splice(0, this.images.length - this.maxImages);
+        }
+        this.store.save({ images: this.images });
+    }
+}
+
+module.exports = {
+    differenceHash,
+    hammingDistance,
+    ImageHashStore
+};
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const { validateAddress } = require('./evm.js');
+const { columnToIndex, indexToColumn, a1Range } = require('./columns.js');
+const { createLogger } = require('./logger.js');
+
+const logger = createLogger('intake');
+
+// Background colors, matching what the original Apps Script painted
+const COLORS = {
+    WHITE: { red: 1, green: 1, blue: 1 },
+    LIGHT_GRAY: { red: 0.973, green: 0.976, blue: 0.98 }, // #f8f9fa
+    PROCESSED: { red: 0.851, green: 0.882, blue: 0.949 }, // #D9E1F2
+    INVALID: { red: 1, green: 0, blue: 0 }
+};
+
+const INTAKE_STATUS = {
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected'
+};
+
+function sameColor(a, b) {
+    return Math.abs((a.red || 0) - b.red) < 0.01 &&
+        Math.abs((a.green || 0) - b.green) < 0.01 &&
+        Math.abs((a.blue || 0) - b.blue) < 0.01;
+}
+
+/**
+ * Rule checks. Each returns an error reason, or null when the value passes.
+ */
+const RULE_CHECKS = {
+    pattern: (rule, value) => new RegExp(rule.pattern).test(value) ? null : `${rule.label} invalid: "${value}"`,
+    equals: (rule, value) => value === rule.equals ? null : `${rule.label} must be "${rule.equals}", got "${value}"`,
+    evmAddress: (rule, value) => {
+        const result = validateAddress(value);
+        return result.valid ? null : `${rule.label} invalid: ${result.reason}`;
+    }
+};
+
+/**
+ * Load and validate intake config:
+ * { sourceSheet, targetSheet, statusColumn, rules: [{ column, label, type, pattern | equals }] }
+ */
+function loadIntakeConfig(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    ['sourceSheet', 'targetSheet', 'statusColumn'].forEach(key => {
+        if (!config[key]) throw new Error(`Intake config ${filePath} is missing "${key}"`);
+    });
+    if (!Array.isArray(config.rules) || config.rules.length === 0) {
+        throw new Error(`Intake config ${filePath} has no rules`);
+    }
+    config.rules.forEach(rule => {
+        if (!rule.column || !rule.label || !RULE_CHECKS[rule.type]) {
+            throw new Error(`Intake rule ${JSON.stringify(rule)} needs column, label and a type of ${Object.keys(RULE_CHECKS).join(', ')}`);
+        }
+        if (columnToIndex(rule.column) >= columnToIndex(config.statusColumn)) {
+            throw new Error(`Intake rule column ${rule.column} must be left of the status column ${config.statusColumn}`);
+        }
+        if (rule.type === 'pattern') new RegExp(rule.pattern);
+    });
+    return config;
+}
+
+/**
+ * Validates new form responses and copies the good ones to the processing sheet.
+ * Replaces the hand-run Apps Script: rows that script already colored are still skipped.
+ */
+class FormIntake {
+    constructor(sheets, spreadsheetId, config) {
+        this.sheets = sheets;
+        this.spreadsheetId = spreadsheetId;
+        this.config = config;
+        this.statusIndex = columnToIndex(config.statusColumn);
+        this.reasonColumn = indexToColumn(this.statusIndex + 1);
+    }
+
+    /**
+     * Look up numeric sheet IDs by tab name
+     */
+    async getSheetIds() {
+        const res = await this.sheets.spreadsheets.get({ spreadsheetId: this.spreadsheetId });
+        const ids = {};
+        res.data.sheets.forEach(sheet => {
+            ids[sheet.properties.title] = sheet.properties.sheetId;
+        });
+        [this.config.sourceSheet, this.config.targetSheet].forEach(name => {
+            if (ids[name] === undefined) throw new Error(`Sheet/tab "${name}" not found`);
+        });
+        return ids;
+    }
+
+    /**
+     * Source rows with their values and backgrounds, starting below the header row
+     */
+    async getSourceRows() {
+        const res = await this.sheets.spreadsheets.get({
+            spreadsheetId: this.spreadsheetId,
+            ranges: [a1Range(this.config.sourceSheet, `A2:${this.reasonColumn}`)],
+            includeGridData: true
+        });
+        const rowData = res.data.sheets[0].data[0].rowData || [];
+        return rowData.map((row, i) => {
+            const cells = row.values || [];
+            return {
+                rowNumber: i + 2,
+                values: cells.map(cell => (cell.formattedValue || '').toString()),
+                backgrounds: cells.map(cell => (cell.userEnteredFormat && cell.userEnteredFormat.backgroundColor) || COLORS.WHITE)
+            };
+        });
+    }
+
+    /**
+     * Check one row against every rule. Returns [{ column, reason }] for each failure.
+     */
+    validateRow(values) {
+        return this.config.rules
+            .map(rule => ({ column: rule.column, reason: RULE_CHECKS[rule.type](rule, (values[columnToIndex(rule.column)] || '').trim()) }))
+            .filter(result => result.reason);
+    }
+
+    backgroundRequest(sheetId, rowNumber, startColumnIndex, endColumnIndex, color) {
+        return {
+            repeatCell: {
+                range: { sheetId, startRowIndex: rowNumber - 1, endRowIndex: rowNumber, startColumnIndex, endColumnIndex },
+                cell: { userEnteredFormat: { backgroundColor: color } },
+                fields: 'userEnteredFormat.backgroundColor'
+            }
+        };
+    }
+
+    /**
+     * Validate new responses, append accepted rows to the target sheet and record a status
+     * and rejection reasons for every handled row. Returns { accepted, rejected, rejections }.
+     */
+    async run() {
+        logger.info('📥 Validating new responses', { sheet: this.config.sourceSheet });
+        const sheetIds = await this.getSheetIds();
+        const rows = await this.getSourceRows();
+
+        const accepted = [];
+        const rejected = [];
+        rows.forEach(row => {
+            const formValues = row.values.slice(0, this.statusIndex);
+            if (formValues.every(value => !value)) return;
+
+            if (row.values[this.statusIndex]) return;
+            const alreadyColored = row.backgrounds
+                .slice(0, this.statusIndex)
+                .some(bg => !sameColor(bg, COLORS.WHITE) && !sameColor(bg, COLORS.LIGHT_GRAY));
+            if (alreadyColored) {
+                logger.debug('⏭️ Row skipped: already colored', { row: row.rowNumber });
+                return;
+            }
+
+            const errors = this.validateRow(row.values);
+            if (errors.length > 0) {
+                logger.info('🔴 Row rejected', { row: row.rowNumber, reasons: errors.map(error => error.reason) });
+                rejected.push({ ...row, errors });
+            } else {
+                logger.debug('✅ Row validated', { row: row.rowNumber });
+                accepted.push({ ...row, formValues });
+            }
+        });
+
+        // Append first: a failure after this point can only re-copy rows, never lose them
+        if (accepted.length > 0) {
+            logger.info('📋 Appending valid rows', { rows: accepted.length, sheet: this.config.targetSheet });
+            const res = await this.sheets.spreadsheets.values.append({
+                spreadsheetId: this.spreadsheetId,
+                range: a1Range(this.config.targetSheet, 'A:A'),
+                valueInputOption: 'RAW',
+                insertDataOption: 'INSERT_ROWS',
+                requestBody: { values: accepted.map(row => row.formValues) }
+            });
+
+            // Appended rows can inherit formatting from the row above; clear it
+            const match = /![A-Z]+(\d+):[A-Z]+(\d+)$/.exec(res.data.updates.updatedRange);
+            if (match) {
+                await this.sheets.spreadsheets.batchUpdate({
+                    spreadsheetId: this.spreadsheetId,
+                    requestBody: {
+                        requests: [{
+                            repeatCell: {
+                                range: {
+                                    sheetId: sheetIds[this.config.targetSheet],
+                                    startRowIndex: parseInt(match[1], 10) - 1,
+                                    endRowIndex: parseInt(match[2], 10)
+                                },
+                                cell: { userEnteredFormat: {} },
+                                fields: 'userEnteredFormat'
+                            }
+                        }]
+                    }
+                });
+            }
+        }
+
+        const handled = [
+            ...accepted.map(row => ({ rowNumber: row.rowNumber, status: INTAKE_STATUS.ACCEPTED, reason: '' })),
+            ...rejected.map(row => ({
+                rowNumber: row.rowNumber,
+                status: INTAKE_STATUS.REJECTED,
+                reason: row.errors.map(error => error.reason).join('; ')
+            }))
+        ];
+        if (handled.length > 0) {
+            await this.sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId: this.spreadsheetId,
+                requestBody: {
+                    valueInputOption: 'RAW',
+                    data: handled.map(entry => ({
+                        range: a1Range(this.config.sourceSheet, `${this.config.statusColumn}${entry.rowNumber}:${this.reasonColumn}${entry.rowNumber}`),
+                        values: [[entry.status, entry.reason]]
+                    }))
+                }
+            });
+
+            const sourceId = sheetIds[this.config.sourceSheet];
+            const requests = [
+                ...accepted.map(row => this.backgroundRequest(sourceId, row.rowNumber, 0, this.statusIndex, COLORS.PROCESSED)),
+                ...rejected.flatMap(row => row.errors.map(error => {
+                    const col = columnToIndex(error.column);
+                    return this.backgroundRequest(sourceId, row.rowNumber, col, col + 1, COLORS.INVALID);
+                }))
+            ];
+            await this.sheets.spreadsheets.batchUpdate({ spreadsheetId: this.spreadsheetId, requestBody: { requests } });
+        }
+
+        logger.info('📊 Intake summary', { accepted: accepted.length, rejected: rejected.length });
+        return {
+            accepted: accepted.length,
+            rejected: rejected.length,
+            rejections: rejected.map(row => ({ rowNumber: row.rowNumber, reasons: row.errors.map(error => error.reason) }))
+        };
+    }
+}
+
+module.exports = {
+    loadIntakeConfig,
+    FormIntake
+};
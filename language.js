@@ -0,0 +1,46 @@
+const DEFAULT_LANGUAGE = 'en';
+
+// Common short words per language; a message is attributed to the language with the most hits
+const STOPWORDS = {
+    en: ['the', 'and', 'is', 'my', 'not', 'have', 'with', 'this', 'it', 'can', 'please', 'what', 'you'],
+    es: ['el', 'la', 'los', 'las', 'y', 'es', 'mi', 'no', 'tengo', 'con', 'para', 'por', 'que', 'puedo', 'hola', 'gracias', 'pero'],
+    pt: ['o', 'os', 'as', 'e', 'é', 'meu', 'minha', 'não', 'tenho', 'com', 'para', 'que', 'posso', 'olá', 'obrigado', 'mas', 'você'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'mon', 'ma', 'pas', 'ai', 'avec', 'pour', 'que', 'je', 'bonjour', 'merci', 'mais', 'vous'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'mein', 'nicht', 'habe', 'mit', 'für', 'ich', 'kann', 'hallo', 'danke', 'aber', 'sie']
+};
+
+// Scripts that identify a language on their own
+const SCRIPTS = {
+    ru: /[Ѐ-ӿ]/g,
+    zh: /[一-鿿]/g,
+    ko: /[가-힯]/g,
+    ja: /[぀-ヿ]/g
+};
+
+const MIN_HITS = 2;
+
+/**
+ * Guess the language of a message. Returns a language code, or null when the text is too short
+ * or too ambiguous to tell.
+ */
+function detectLanguage(text) {
+    const content = (text || '').toLowerCase();
+
+    for (const [language, pattern] of Object.entries(SCRIPTS)) {
+        if ((content.match(pattern) || []).length >= 3) return language;
+    }
+
+    const words = content.split(/[^\p{L}]+/u).filter(Boolean);
+    const scores = Object.entries(STOPWORDS)
+        .map(([language, stopwords]) => ({ language, hits: words.filter(word => stopwords.includes(word)).length }))
+        .sort((a, b) => b.hits - a.hits);
+
+    const [best, runnerUp] = scores;
+    if (best.hits < MIN_HITS || best.hits === runnerUp.hits) return null;
+    return best.language;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    detectLanguage
+};
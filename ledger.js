@@ -0,0 +1,67 @@
+const JsonStore = require('./store.js');
+
+/**
+ * Record of every export batch posted to Discord
+ */
+class ExportLedger {
+    constructor(filePath) {
+        this.store = new JsonStore(filePath, { batches: [] });
+    }
+
+    /**
+     * Append a batch: { id, createdAt, runId, trigger, entries: [{ rowNumber, userId, address, previous }], summary }.
+     * `previous` is the row's status cells and colors before the export, restored by a rollback.
+     * Rolled-back batches also carry `rolledBackAt`.
+     */
+    record(batch) {
+        const data = this.store.load();
+        data.batches.push(batch);
+        this.store.save(data);
+        return batch;
+    }
+
+    /**
+     * Most recent batches first
+     */
+    list(limit = 10) {
+        return this.store.load().batches.slice(-limit).reverse();
+    }
+
+    /**
+     * Every batch, oldest first
+     */
+    all() {
+        return this.store.load().batches;
+    }
+
+    /**
+     * Find a batch by its ID
+     */
+    get(batchId) {
+        return this.store.load().batches.find(batch => batch.id === batchId) || null;
+    }
+
+    /**
+     * Mark a batch as rolled back: { rolledBackAt, rolledBackBy, rolledBackRows }. Rolled-back batches stay in the ledger.
+     */
+    markRolledBack(batchId, details) {
+        const data = this.store.load();
+        const batch = data.batches.find(item => item.id === batchId);
+        if (!batch) throw new Error(`Batch not found: ${batchId}`);
+        Object.assign(batch, details);
+        this.store.save(data);
+        return batch;
+    }
+
+    /**
+     * All batches that exported the given address (case-insensitive)
+     */
+    findByAddress(address) {
+        const needle = address.toLowerCase();
+        return this.store.load().batches.filter(batch =>
+            batch.entries.some(entry => (entry.address || '').toLowerCase() === needle)
+        );
+    }
+}
+
+module.exports = ExportLedger;
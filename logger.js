@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+/**
+ * Minimum level from LOG_LEVEL. Without it, the old DEBUG_MODE=true still turns on debug logs.
+ */
+function resolveLevel(env = process.env) {
+    const level = (env.LOG_LEVEL || (env.DEBUG_MODE === 'true' ? 'debug' : 'info')).toLowerCase();
+    if (!LEVELS[level]) {
+        throw new Error(`Unknown LOG_LEVEL "${env.LOG_LEVEL}" (use ${Object.keys(LEVELS).join(', ')})`);
+    }
+    return level;
+}
+
+/**
+ * Append-only log file that rolls over to file.1 ... file.N once it reaches maxBytes
+ */
+class RotatingFile {
+    constructor(filePath, maxBytes = DEFAULT_MAX_BYTES, maxFiles = DEFAULT_MAX_FILES) {
+        this.filePath = filePath;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    }
+
+    rotate() {
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            const from = `${this.filePath}.${i}`;
+            if (fs.existsSync(from)) fs.renameSync(from, `${this.filePath}.${i + 1}`);
+        }
+        fs.renameSync(this.filePath, `${this.filePath}.1`);
+        this.size = 0;
+    }
+
+    write(line) {
+        const bytes = Buffer.byteLength(line);
+        if (this.size > 0 && this.size + bytes > this.maxBytes) this.rotate();
+        fs.appendFileSync(this.filePath, line);
+        this.size += bytes;
+    }
+}
+
+const level = resolveLevel();
+const logFile = process.env.LOG_FILE
+    ? new RotatingFile(
+        process.env.LOG_FILE,
+        parseInt(process.env.LOG_MAX_BYTES, 10) || DEFAULT_MAX_BYTES,
+        parseInt(process.env.LOG_MAX_FILES, 10) || DEFAULT_MAX_FILES
+    )
+    : null;
+let fileFailed = false;
+
+// Fields (campaign, run ID, ...) added to every entry logged inside withLogContext, across awaits
+const context = new AsyncLocalStorage();
+
+function withLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Errors do not survive JSON.stringify, so log their message, code and stack instead
+function serializeFields(fields) {
+    const result = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        result[key] = value instanceof Error
+            ? { message: value.message, code: value.code, stack: value.stack }
+            : value;
+    });
+    return result;
+}
+
+/**
+ * JSON-lines logger for one component. Entries are { time, level, component, msg, ...fields }.
+ */
+class Logger {
+    constructor(component, fields = {}) {
+        this.component = component;
+        this.fields = fields;
+    }
+
+    /**
+     * Logger that adds the given fields to every entry
+     */
+    child(fields) {
+        return new Logger(this.component, { ...this.fields, ...fields });
+    }
+
+    isEnabled(entryLevel) {
+        return LEVELS[entryLevel] >= LEVELS[level];
+    }
+
+    write(entryLevel, message, fields = {}) {
+        if (!this.isEnabled(entryLevel)) return;
+
+        const base = {
+            time: new Date().toISOString(),
+            level: entryLevel,
+            component: this.component,
+            msg: message
+        };
+        // The base keys come first in the line and are applied again last, so fields cannot overwrite them
+        const line = JSON.stringify({
+            ...base,
+            ...context.getStore(),
+            ...this.fields,
+            ...serializeFields(fields),
+            ...base
+        });
+        (entryLevel === 'error' ? console.error : console.log)(line);
+
+        if (logFile && !fileFailed) {
+            try {
+                logFile.write(`${line}\n`);
+            } catch (error) {
+                // Keep logging to the console; reporting every failed write would flood it
+                fileFailed = true;
+                console.error(JSON.stringify({ time: new Date().toISOString(), level: 'error', component: 'logger', msg: `Log file disabled: ${error.message}` }));
+            }
+        }
+    }
+
+    debug(message, fields) { this.write('debug', message, fields); }
+
+    info(message, fields) { this.write('info', message, fields); }
+
+    warn(message, fields) { this.write('warn', message, fields); }
+
+    error(message, fields) { this.write('error', message, fields); }
+}
+
+function createLogger(component, fields) {
+    return new Logger(component, fields);
+}
+
+module.exports = {
+    LOG_LEVEL: level,
+    LOG_FILE: process.env.LOG_FILE || null,
+    createLogger,
+    withLogContext,
+    RotatingFile
+};
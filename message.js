@@ -1,5 +1,7 @@
 /**
- * Message templates for the ticket system
+ * Message templates for the ticket system and rejection DMs.
+ * Placeholders such as {userTag} are filled in by templates.js, which lists the allowed variables.
+ * Edit and run /ticket reload-templates to apply changes without a restart.
  */
 
 const messages = {
@@ -7,23 +9,189 @@ const messages = {
 
 📌 Automated Ticket Handling
 To resolve your issue quickly, please provide:
-1️⃣ Your EVM address (paste it here)
-2️⃣ Description of the issue (clear and concise)
-3️⃣ Screenshot displaying the problem
+{requirements}
 
 ⚠️ Missing details may delay resolution`,
 
     FORM_MESSAGE: `🔹 **How to Access Mining SATs Activity**
 
 Fill out the Google Form:
-→ [Mining SATs Access Form](https://docs.google.com/forms/d/e/1FAIpQLSfsEm1xSQe4XBg7epvnXk093EuJwUjr1J7NkE3WkftbB8yk0A/viewform)
+→ [Mining SATs Access Form]({formUrl})
 
 
 Requirement: You must have the **Human** role
 
 Don’t have it? Use **!human** command and follow the instructions
 
-⏳ *This ticket will auto-close in 1 hour*`
+⏳ *This ticket will auto-close in {closeIn}*`,
+
+    INVALID_ADDRESS_MESSAGE: `⚠️ \`{address}\` does not look like a valid EVM address (checksum mismatch)
+
+Please copy it again directly from your wallet and paste it here`,
+
+    // Automatic answers after looking up the ticket's wallet in the Processed sheet
+    SUBMISSION_NOT_FOUND: `🔎 We could not find a form submission for \`{address}\` or your Discord account.
+
+Please fill out the form first:
+→ [Mining SATs Access Form]({formUrl})`,
+
+    SUBMISSION_PENDING: `⏳ Your submission (row {row}) was received and is waiting for the next export run. No action is needed`,
+
+    SUBMISSION_DUPLICATE_WALLET: `🟠 Your submission (row {row}) was not exported: the wallet \`{address}\` was submitted more than once`,
+
+    SUBMISSION_DUPLICATE_USER: `🟠 Your submission (row {row}) was not exported: your Discord account submitted the form more than once`,
+
+    SUBMISSION_NO_ROLE: `🔴 Your submission (row {row}) was not exported: you did not have the **Human** role when it was processed.
+
+Use **!human** to get the role, then submit the form again`,
+
+    SUBMISSION_NOT_MEMBER: `🔴 Your submission (row {row}) was not exported: your Discord account was not a member of the server when it was processed`,
+
+    SUBMISSION_INVALID_USER_ID: `🔴 Your submission (row {row}) was not exported: the Discord user ID in the form is not valid. Please submit the form again with your numeric user ID`,
+
+    SUBMISSION_HIGH_RISK: `🕵️ Your submission (row {row}) is being reviewed by the team before it can be exported. Please continue below if you have anything to add`,
+
+    SUBMISSION_INVALID_WALLET: `🔴 Your submission (row {row}) was not exported: the wallet address in the form is not a valid EVM address`,
+
+    // DMs to applicants whose rows were not exported; {row}, {reason} and {address} are filled in
+    REJECTION_DM_DUPLICATE_USER: `Hi! Your Mining SATs access form (row {row}) was not exported because your Discord account submitted the form more than once. Only your first submission counts`,
+
+    REJECTION_DM_DUPLICATE_WALLET: `Hi! Your Mining SATs access form (row {row}) was not exported because the wallet \`{address}\` was submitted more than once. Each wallet can only be used once`,
+
+    REJECTION_DM_NO_ROLE: `Hi! Your Mining SATs access form (row {row}) was not exported because you do not have the **Human** role.
+
+Use **!human** in the server to get it, then submit the form again`,
+
+    REJECTION_DM_INVALID_WALLET: `Hi! Your Mining SATs access form (row {row}) was not exported because the wallet address is not valid ({reason}). Please submit the form again with the address copied from your wallet`,
+
+    // Tickets still missing requirements after INACTIVITY_REMINDER_MINUTES / INACTIVITY_CLOSE_HOURS without messages
+    INACTIVITY_REMINDER_MESSAGE: `{userTag} ⏰ We are still waiting for:
+{requirements}`,
+
+    // Appended to the reminder only when inactivity auto-close is on
+    INACTIVITY_CLOSE_NOTICE: `This ticket will close in {inactivityCloseIn} if there is no reply`,
+
+    INACTIVITY_CLOSE_MESSAGE: `💤 This ticket is being closed due to inactivity. Feel free to open a new one when you have the requested details`,
+
+    REUSED_IMAGE_MESSAGE: `🚩 This screenshot matches one already sent in an earlier ticket ({earlierTicket}, by {earlierUser}), so it was not accepted.
+
+Please attach your own screenshot showing the problem. Staff have been notified`,
+
+    UNCHECKED_IMAGE_MESSAGE: `🔍 We could not check this screenshot automatically. Staff will review it shortly`,
+
+    SUBMISSION_EXPORTED: `✅ Your wallet was exported in batch \`{batch}\` (row {row}). If you still have an issue, reply here before this ticket closes`,
+
+    // Translations, named TEMPLATE:language. Templates without one are sent in English.
+    'INITIAL_MESSAGE:es': `{userTag}
+
+📌 Gestión automática de tickets
+Para resolver tu problema rápidamente, envía:
+{requirements}
+
+⚠️ La falta de datos puede retrasar la resolución`,
+
+    'FORM_MESSAGE:es': `🔹 **Cómo acceder a la actividad Mining SATs**
+
+Completa el formulario de Google:
+→ [Formulario de acceso a Mining SATs]({formUrl})
+
+
+Requisito: debes tener el rol **Human**
+
+¿No lo tienes? Usa el comando **!human** y sigue las instrucciones
+
+⏳ *Este ticket se cerrará automáticamente en {closeIn}*`,
+
+    'INVALID_ADDRESS_MESSAGE:es': `⚠️ \`{address}\` no parece una dirección EVM válida (checksum incorrecto)
+
+Cópiala de nuevo directamente desde tu wallet y pégala aquí`,
+
+    'INACTIVITY_REMINDER_MESSAGE:es': `{userTag} ⏰ Todavía esperamos:
+{requirements}`,
+
+    'INACTIVITY_CLOSE_NOTICE:es': `Este ticket se cerrará en {inactivityCloseIn} si no hay respuesta`,
+
+    'INACTIVITY_CLOSE_MESSAGE:es': `💤 Este ticket se cierra por inactividad. Puedes abrir uno nuevo cuando tengas los datos solicitados`,
+
+    'REUSED_IMAGE_MESSAGE:es': `🚩 Esta captura coincide con una enviada en un ticket anterior ({earlierTicket}, por {earlierUser}), así que no fue aceptada.
+
+Adjunta tu propia captura que muestre el problema. El equipo ha sido avisado`,
+
+    'UNCHECKED_IMAGE_MESSAGE:es': `🔍 No pudimos verificar esta captura automáticamente. El equipo la revisará en breve`,
+
+    'INITIAL_MESSAGE:pt': `{userTag}
+
+📌 Atendimento automático de tickets
+Para resolver seu problema rapidamente, envie:
+{requirements}
+
+⚠️ Informações faltando podem atrasar a resolução`,
+
+    'FORM_MESSAGE:pt': `🔹 **Como acessar a atividade Mining SATs**
+
+Preencha o formulário do Google:
+→ [Formulário de acesso Mining SATs]({formUrl})
+
+
+Requisito: você precisa ter o cargo **Human**
+
+Não tem? Use o comando **!human** e siga as instruções
+
+⏳ *Este ticket será fechado automaticamente em {closeIn}*`,
+
+    'INVALID_ADDRESS_MESSAGE:pt': `⚠️ \`{address}\` não parece ser um endereço EVM válido (checksum incorreto)
+
+Copie novamente direto da sua carteira e cole aqui`,
+
+    'INACTIVITY_REMINDER_MESSAGE:pt': `{userTag} ⏰ Ainda estamos aguardando:
+{requirements}`,
+
+    'INACTIVITY_CLOSE_NOTICE:pt': `Este ticket será fechado em {inactivityCloseIn} se não houver resposta`,
+
+    'INACTIVITY_CLOSE_MESSAGE:pt': `💤 Este ticket está sendo fechado por inatividade. Abra um novo quando tiver as informações solicitadas`,
+
+    'REUSED_IMAGE_MESSAGE:pt': `🚩 Esta captura de tela corresponde a uma enviada em um ticket anterior ({earlierTicket}, por {earlierUser}), por isso não foi aceita.
+
+Anexe sua própria captura mostrando o problema. A equipe foi avisada`,
+
+    'UNCHECKED_IMAGE_MESSAGE:pt': `🔍 Não conseguimos verificar esta captura de tela automaticamente. A equipe vai analisá-la em breve`,
+
+    'INITIAL_MESSAGE:fr': `{userTag}
+
+📌 Traitement automatique des tickets
+Pour résoudre votre problème rapidement, merci de fournir :
+{requirements}
+
+⚠️ Des informations manquantes peuvent retarder la résolution`,
+
+    'FORM_MESSAGE:fr': `🔹 **Comment accéder à l'activité Mining SATs**
+
+Remplissez le formulaire Google :
+→ [Formulaire d'accès Mining SATs]({formUrl})
+
+
+Condition : vous devez avoir le rôle **Human**
+
+Vous ne l'avez pas ? Utilisez la commande **!human** et suivez les instructions
+
+⏳ *Ce ticket sera fermé automatiquement dans {closeIn}*`,
+
+    'INVALID_ADDRESS_MESSAGE:fr': `⚠️ \`{address}\` ne ressemble pas à une adresse EVM valide (checksum incorrect)
+
+Copiez-la à nouveau directement depuis votre wallet et collez-la ici`,
+
+    'INACTIVITY_REMINDER_MESSAGE:fr': `{userTag} ⏰ Nous attendons toujours :
+{requirements}`,
+
+    'INACTIVITY_CLOSE_NOTICE:fr': `Ce ticket sera fermé dans {inactivityCloseIn} sans réponse`,
+
+    'INACTIVITY_CLOSE_MESSAGE:fr': `💤 Ce ticket est fermé pour inactivité. N'hésitez pas à en ouvrir un nouveau lorsque vous aurez les informations demandées`,
+
+    'REUSED_IMAGE_MESSAGE:fr': `🚩 Cette capture correspond à une capture déjà envoyée dans un ticket précédent ({earlierTicket}, par {earlierUser}), elle n'a donc pas été acceptée.
+
+Joignez votre propre capture montrant le problème. L'équipe a été prévenue`,
+
+    'UNCHECKED_IMAGE_MESSAGE:fr': `🔍 Nous n'avons pas pu vérifier cette capture automatiquement. L'équipe va l'examiner sous peu`
 };
 
 module.exports = messages;
\ No newline at end of file
@@ -0,0 +1,59 @@
+const http = require('http');
+const { createLogger } = require('./logger.js');
+
+const logger = createLogger('monitoring');
+
+/**
+ * Render metrics in the Prometheus text exposition format.
+ * Each metric is { name, help, type: 'counter' | 'gauge', samples: [{ labels, value }] }.
+ */
+function formatMetrics(metrics) {
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    const lines = [];
+    metrics.forEach(metric => {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        metric.samples
+            .filter(sample => sample.value !== null && sample.value !== undefined)
+            .forEach(({ labels = {}, value }) => {
+                const labelText = Object.entries(labels).map(([key, labelValue]) => `${key}="${escape(labelValue)}"`).join(',');
+                lines.push(`${metric.name}${labelText ? `{${labelText}}` : ''} ${Number(value)}`);
+            });
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * HTTP server exposing GET /metrics (Prometheus) and GET /healthz (JSON, 503 when unhealthy).
+ * `collectMetrics()` returns metrics for formatMetrics; `checkHealth()` resolves to { healthy, ... }.
+ */
+function createMonitoringServer({ collectMetrics, checkHealth }) {
+    return http.createServer(async (req, res) => {
+        const send = (status, contentType, body) => {
+            res.writeHead(status, { 'Content-Type': contentType });
+            res.end(body);
+        };
+
+        try {
+            const { pathname } = new URL(req.url, 'http://localhost');
+            if (req.method !== 'GET') {
+                send(405, 'text/plain', 'Method not allowed\n');
+            } else if (pathname === '/metrics') {
+                send(200, 'text/plain; version=0.0.4; charset=utf-8', formatMetrics(await collectMetrics()));
+            } else if (pathname === '/healthz') {
+                const health = await checkHealth();
+                send(health.healthy ? 200 : 503, 'application/json', `${JSON.stringify(health, null, 2)}\n`);
+            } else {
+                send(404, 'text/plain', 'Not found\n');
+            }
+        } catch (error) {
+            logger.error('❌ Monitoring request failed', { url: req.url, error });
+            send(500, 'text/plain', `${error.message}\n`);
+        }
+    });
+}
+
+module.exports = {
+    formatMetrics,
+    createMonitoringServer
+};
@@ -0,0 +1,105 @@
+const JsonStore = require('./store.js');
+const { templates } = require('./templates.js');
+const { createLogger } = require('./logger.js');
+
+const logger = createLogger('notifier');
+
+// Discord API error code for "Cannot send messages to this user" (DMs closed or no mutual server)
+const DM_CLOSED_CODE = 50007;
+
+// Failed DMs are retried on later runs up to this many attempts; closed DMs are not retried
+const MAX_DM_ATTEMPTS = 3;
+
+/**
+ * DMs applicants whose rows were rejected, at most once per user and rejection status
+ */
+class RejectionNotifier {
+    constructor(client, filePath) {
+        this.client = client;
+        this.store = new JsonStore(filePath, { notified: {}, failed: {} });
+    }
+
+    /**
+     * DM template name for a row status, e.g. REJECTION_DM_NO_ROLE. Statuses without a template are not DMed.
+     */
+    getTemplate(status) {
+        const name = `REJECTION_DM_${status.toUpperCase()}`;
+        return templates.has(name) ? name : null;
+    }
+
+    /**
+     * Send DMs for the given rejections ({ userId, status, reason, rowNumber, address }).
+     * State is saved after every DM, so an interrupted run never DMs the same user twice.
+     * Never throws: the export is already out when this runs.
+     * Returns { sent, alreadyNotified, noTemplate, failed, dmClosed, gaveUp }.
+     */
+    async notify(rejections) {
+        const result = { sent: 0, alreadyNotified: 0, noTemplate: 0, failed: 0, dmClosed: 0, gaveUp: 0 };
+        let data;
+        try {
+            data = this.store.load();
+        } catch (error) {
+            logger.error('❌ Failed to load rejection DM state, no DMs sent', { error });
+            return result;
+        }
+
+        for (const rejection of rejections) {
+            try {
+                await this.notifyOne(data, rejection, result);
+            } catch (error) {
+                result.failed++;
+                logger.error('❌ Rejection DM bookkeeping failed', { userId: rejection.userId, row: rejection.rowNumber, error });
+            }
+        }
+        return result;
+    }
+
+    async notifyOne(data, rejection, result) {
+        const template = this.getTemplate(rejection.status);
+        if (!template) {
+            result.noTemplate++;
+            return;
+        }
+
+        const notified = data.notified[rejection.userId] || [];
+        if (notified.includes(rejection.status)) {
+            result.alreadyNotified++;
+            return;
+        }
+        const failures = data.failed[rejection.userId] || {};
+        const failure = failures[rejection.status];
+        if (failure && (failure.code === DM_CLOSED_CODE || failure.attempts >= MAX_DM_ATTEMPTS)) {
+            result.gaveUp++;
+            return;
+        }
+
+        const content = templates.render(template, {
+            row: rejection.rowNumber,
+            reason: rejection.reason,
+            address: rejection.address
+        });
+        try {
+            const user = await this.client.users.fetch(rejection.userId);
+            await user.send(content);
+            data.notified[rejection.userId] = [...notified, rejection.status];
+            result.sent++;
+            logger.info('📨 Rejection DM sent', { userId: rejection.userId, row: rejection.rowNumber, status: rejection.status });
+        } catch (error) {
+            result.failed++;
+            if (error.code === DM_CLOSED_CODE) result.dmClosed++;
+            data.failed[rejection.userId] = {
+                ...failures,
+                [rejection.status]: {
+                    attempts: (failure ? failure.attempts : 0) + 1,
+                    code: error.code || null,
+                    message: error.message,
+                    at: new Date().toISOString()
+                }
+            };
+            logger.warn('❌ Rejection DM failed', { userId: rejection.userId, row: rejection.rowNumber, status: rejection.status, error });
+        }
+        this.store.save(data);
+    }
+}
+
+module.exports = RejectionNotifier;
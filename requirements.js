@@ -0,0 +1,139 @@
+const fs = require('fs');
+const { validateAddress } = require('./evm.js');
+const { DEFAULT_LANGUAGE } = require('./language.js');
+
+const EVM_ADDRESS_REGEX = /\b0x[a-fA-F0-9]{40}\b/g;
+
+/**
+ * Requirement validators. Each takes the requirement config and a Discord message and returns
+ * { met, value } plus optional `invalid` values worth warning the user about.
+ */
+const VALIDATORS = {
+    // EVM address with EIP-55 checksum validation
+    evmAddress: (requirement, message) => {
+        const matches = (message.content.match(EVM_ADDRESS_REGEX) || []).map(validateAddress);
+        const valid = matches.filter(match => match.valid).map(match => match.address);
+        const invalid = matches.filter(match => !match.valid).map(match => match.address);
+        return { met: valid.length > 0, value: valid[0], invalid };
+    },
+
+    // Message text matches `pattern` (with optional `flags`)
+    regex: (requirement, message) => {
+        const match = message.content.match(new RegExp(requirement.pattern, requirement.flags || ''));
+        return { met: Boolean(match), value: match ? match[0] : undefined };
+    },
+
+    // An attachment whose content type starts with `contentType`, e.g. "image/"
+    attachment: (requirement, message) => {
+        const attachment = [...message.attachments.values()].find(item =>
+            item.contentType && item.contentType.startsWith(requirement.contentType)
+        );
+        return { met: Boolean(attachment), value: attachment ? attachment.url : undefined };
+    },
+
+    // At least `min` characters of text, not counting pasted EVM addresses
+    minLength: (requirement, message) => {
+        const text = message.content.replace(EVM_ADDRESS_REGEX, '').trim();
+        return { met: text.length >= requirement.min, value: text.length >= requirement.min ? text : undefined };
+    },
+
+    // Any of `keywords` appears in the message (case-insensitive)
+    keyword: (requirement, message) => {
+        const content = message.content.toLowerCase();
+        const keyword = requirement.keywords.find(word => content.includes(word.toLowerCase()));
+        return { met: Boolean(keyword), value: keyword };
+    }
+};
+
+// Config fields each validator type needs
+const REQUIRED_FIELDS = {
+    evmAddress: [],
+    regex: ['pattern'],
+    attachment: ['contentType'],
+    minLength: ['min'],
+    keyword: ['keywords']
+};
+
+/**
+ * Check one flow definition, throwing with the flow name on the first problem found
+ */
+function validateFlow(name, flow) {
+    if (!Array.isArray(flow.requirements) || flow.requirements.length === 0) {
+        throw new Error(`Ticket flow "${name}" has no requirements`);
+    }
+    if (!flow.initialMessage || !flow.finalMessage) {
+        throw new Error(`Ticket flow "${name}" needs initialMessage and finalMessage`);
+    }
+
+    const ids = new Set();
+    flow.requirements.forEach(requirement => {
+        if (!requirement.id || !requirement.label) {
+            throw new Error(`Ticket flow "${name}" has a requirement without id or label`);
+        }
+        if (ids.has(requirement.id)) {
+            throw new Error(`Ticket flow "${name}" repeats requirement "${requirement.id}"`);
+        }
+        ids.add(requirement.id);
+
+        if (!VALIDATORS[requirement.type]) {
+            throw new Error(`Ticket flow "${name}" requirement "${requirement.id}" has unknown type "${requirement.type}"`);
+        }
+        const missing = REQUIRED_FIELDS[requirement.type].filter(field => requirement[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Ticket flow "${name}" requirement "${requirement.id}" is missing ${missing.join(', ')}`);
+        }
+        if (requirement.type === 'regex') new RegExp(requirement.pattern, requirement.flags || '');
+        if (requirement.reminders !== undefined && !isStringMap(requirement.reminders)) {
+            throw new Error(`Ticket flow "${name}" requirement "${requirement.id}" reminders must map language codes to text`);
+        }
+    });
+    if (flow.language !== undefined && typeof flow.language !== 'string') {
+        throw new Error(`Ticket flow "${name}" language must be a language code`);
+    }
+}
+
+function isStringMap(value) {
+    return value !== null && typeof value === 'object' && Object.values(value).every(item => typeof item === 'string');
+}
+
+/**
+ * Check the ticket language settings:
+ * { "default": "en", "roles": { "<roleId>": "es" }, "detect": true }
+ */
+function loadLanguages(languages = {}, filePath) {
+    const config = { default: DEFAULT_LANGUAGE, roles: {}, detect: false, ...languages };
+    if (typeof config.default !== 'string' || !isStringMap(config.roles)) {
+        throw new Error(`Ticket languages in ${filePath} need a default language code and a roles map of role ID to language code`);
+    }
+    return config;
+}
+
+/**
+ * Load and validate ticket flows from a JSON file:
+ * { "default": flow, "categories": { "<categoryId>": flow }, "languages": { ... } }
+ */
+function loadFlows(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (!config.default) throw new Error(`No "default" ticket flow in ${filePath}`);
+
+    validateFlow('default', config.default);
+    const categories = config.categories || {};
+    Object.entries(categories).forEach(([categoryId, flow]) => validateFlow(categoryId, flow));
+
+    return { default: config.default, categories, languages: loadLanguages(config.languages, filePath) };
+}
+
+/**
+ * Run every still-unmet requirement of a flow against a message.
+ * Returns [{ requirement, met, value, invalid }] for those requirements.
+ */
+function evaluateMessage(flow, met, message) {
+    return flow.requirements
+        .filter(requirement => !met[requirement.id])
+        .map(requirement => ({ requirement, ...VALIDATORS[requirement.type](requirement, message) }));
+}
+
+module.exports = {
+    loadFlows,
+    evaluateMessage
+};
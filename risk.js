@@ -0,0 +1,103 @@
+// Discord snowflakes carry their creation time in the top 42 bits, counted from the Discord epoch
+const DISCORD_EPOCH = 1420070400000n;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Points per risk signal; a row's score is the sum of the signals that fire
+const RISK_WEIGHTS = {
+    accountUnderWeek: 40,
+    accountUnderMonth: 20,
+    joinedUnderHourBeforeSubmitting: 25,
+    joinedUnderDayBeforeSubmitting: 10,
+    joinedGuildRecently: 15, // Member for less than 3 days when the export runs
+    walletExportedForOtherUser: 50,
+    userExportedWithOtherWallet: 30
+};
+
+// Scoring is opt-in: 0 holds nothing. At 40, an account under a week old is held once any other signal fires.
+const DEFAULT_RISK_THRESHOLD = 0;
+
+function snowflakeTime(id) {
+    return Number((BigInt(id) >> 22n) + DISCORD_EPOCH);
+}
+
+function describeAge(ms) {
+    const count = (value, unit) => `${value} ${unit}${value === 1 ? '' : 's'}`;
+    if (ms < HOUR_MS) return count(Math.max(0, Math.round(ms / 60000)), 'minute');
+    if (ms < 2 * DAY_MS) return count(Math.round(ms / HOUR_MS), 'hour');
+    return count(Math.round(ms / DAY_MS), 'day');
+}
+
+/**
+ * Index earlier export batches by wallet (lowercase) and user ID: { wallets, users }, each a Map of
+ * key -> [{ batchId, userId, address }]
+ */
+function indexBatches(batches) {
+    const wallets = new Map();
+    const users = new Map();
+    const add = (map, key, value) => map.set(key, [...(map.get(key) || []), value]);
+    batches.forEach(batch => batch.entries.forEach(entry => {
+        const value = { batchId: batch.id, userId: entry.userId, address: entry.address };
+        if (entry.address) add(wallets, entry.address.toLowerCase(), value);
+        if (entry.userId) add(users, entry.userId, value);
+    }));
+    return { wallets, users };
+}
+
+/**
+ * Score one export candidate from what the bot can see:
+ * { userId, address, submittedAt (Date or null), joinedAt (ms or null) }, an indexBatches() result and the time of the run.
+ * Returns { score, reasons } with one reason per signal that fired.
+ */
+function scoreCandidate(candidate, history, now = Date.now()) {
+    const reasons = [];
+    let score = 0;
+    const add = (weight, reason) => {
+        score += RISK_WEIGHTS[weight];
+        reasons.push(`${reason} (+${RISK_WEIGHTS[weight]})`);
+    };
+
+    const reference = candidate.submittedAt ? candidate.submittedAt.getTime() : now;
+    const accountAge = reference - snowflakeTime(candidate.userId);
+    if (accountAge < 7 * DAY_MS) {
+        add('accountUnderWeek', `account ${describeAge(accountAge)} old at submission`);
+    } else if (accountAge < 30 * DAY_MS) {
+        add('accountUnderMonth', `account ${describeAge(accountAge)} old at submission`);
+    }
+
+    if (candidate.joinedAt) {
+        if (candidate.submittedAt) {
+            const joinToSubmit = candidate.submittedAt.getTime() - candidate.joinedAt;
+            if (joinToSubmit >= 0 && joinToSubmit < HOUR_MS) {
+                add('joinedUnderHourBeforeSubmitting', `joined the server ${describeAge(joinToSubmit)} before submitting`);
+            } else if (joinToSubmit >= 0 && joinToSubmit < DAY_MS) {
+                add('joinedUnderDayBeforeSubmitting', `joined the server ${describeAge(joinToSubmit)} before submitting`);
+            }
+        }
+        if (now - candidate.joinedAt < 3 * DAY_MS) {
+            add('joinedGuildRecently', `member for ${describeAge(now - candidate.joinedAt)}`);
+        }
+    }
+
+    const walletUses = (history.wallets.get(candidate.address.toLowerCase()) || [])
+        .filter(use => use.userId !== candidate.userId);
+    if (walletUses.length > 0) {
+        add('walletExportedForOtherUser', `wallet exported for user ${walletUses[0].userId} in batch ${walletUses[0].batchId}`);
+    }
+    const userUses = (history.users.get(candidate.userId) || [])
+        .filter(use => (use.address || '').toLowerCase() !== candidate.address.toLowerCase());
+    if (userUses.length > 0) {
+        add('userExportedWithOtherWallet', `user exported with wallet ${userUses[0].address} in batch ${userUses[0].batchId}`);
+    }
+
+    return { score, reasons };
+}
+
+module.exports = {
+    RISK_WEIGHTS,
+    DEFAULT_RISK_THRESHOLD,
+    snowflakeTime,
+    indexBatches,
+    scoreCandidate
+};
@@ -1,23 +1,102 @@
 const fs = require('fs');
 const path = require('path');
-const messages = require('./message.js');
+const { PermissionFlagsBits, SlashCommandBuilder } = require('discord.js');
+const { templates, formatDuration } = require('./templates.js');
+const { detectLanguage } = require('./language.js');
+const { LOG_LEVEL, createLogger } = require('./logger.js');
+const JsonStore = require('./store.js');
+const { loadFlows, evaluateMessage } = require('./requirements.js');
+const { createTicketBackend } = require('./backends.js');
+const { ImageHashStore } = require('./imagehash.js');
+
+// Terminal submission states (exported, or rejected with a reason) answered automatically; the ticket is closed afterwards.
+// Other states (not found, pending, held for review...) are answered but left open for staff.
+const RESOLVED_SUBMISSION_STATES = [
+    'exported', 'duplicate_wallet', 'duplicate_user', 'no_role', 'not_member', 'invalid_user_id', 'invalid_wallet'
+];
+
+// Discord rejects messages longer than this
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Failed closes/deletes are retried after 1 minute, doubling up to 1 hour
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// Numeric env setting where 0 is a valid value (used to turn a feature off)
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Header plus as many lines as fit in one message, ending with "…and N more" when some are left out
+ */
+function fitLines(header, lines, maxLength = MAX_MESSAGE_LENGTH) {
+    let content = header;
+    for (let i = 0; i < lines.length; i++) {
+        const rest = lines.length - i - 1;
+        // Keep room for the "more" line unless this is the last one
+        const reserve = rest > 0 ? `\n…and ${rest} more`.length : 0;
+        if (content.length + 1 + lines[i].length + reserve > maxLength) {
+            return `${content}\n…and ${lines.length - i} more`;
+        }
+        content += `\n${lines[i]}`;
+    }
+    return content;
+}
 
 class TicketSender {
-    constructor(client) {
+    /**
+     * `options.lookupSubmission({ address, userId, guildId })` resolves the sheet state of a
+     * submission in the guild's campaigns; flows with `statusLookup` use it to answer tickets automatically.
+     */
+    constructor(client, options = {}) {
         this.client = client;
+        this.lookupSubmission = options.lookupSubmission || null;
         this.TICKET_CATEGORY = process.env.TICKET_CAT;
         this.CLOSE_HOURS = parseFloat(process.env.CLOSE_HOURS) || 1;
         this.DELETE_HOURS = parseFloat(process.env.DELETE_HOURS) || 24;
-        this.DEBUG_MODE = process.env.DEBUG_MODE === 'true';
+        // Tickets still waiting on requirements: remind after this long without messages, then close.
+        // Both are opt-in: unset or 0 disables them
+        this.INACTIVITY_REMINDER_MINUTES = envNumber('INACTIVITY_REMINDER_MINUTES', 0);
+        this.INACTIVITY_CLOSE_HOURS = envNumber('INACTIVITY_CLOSE_HOURS', 0);
+        this.logger = createLogger('tickets');
+        this.TICKET_STORE = process.env.TICKET_STORE || path.join(__dirname, 'data', 'tickets.json');
+        this.FLOWS_FILE = process.env.TICKET_FLOWS || path.join(__dirname, 'flows.json');
+        this.flows = loadFlows(this.FLOWS_FILE); // Throws on an invalid config so startup fails loudly
+        // How tickets are closed and deleted: "commands" posts $close/$transcript/$delete for another bot, "native" does it here
+        this.TICKET_BACKEND = process.env.TICKET_BACKEND || 'commands';
+        this.backend = createTicketBackend(this.TICKET_BACKEND, client, {
+            transcriptChannelId: process.env.TRANSCRIPT_CHANNEL,
+            transcriptDir: process.env.TRANSCRIPT_DIR
+        });
+        // Screenshots within this many differing hash bits (of 64) of one from an earlier ticket are flagged as reused.
+        // Opt-in with IMAGE_MATCH_ENABLED=true, which needs the sharp package installed
+        this.IMAGE_MATCH_ENABLED = process.env.IMAGE_MATCH_ENABLED === 'true';
+        this.IMAGE_MATCH_THRESHOLD = envNumber('IMAGE_MATCH_THRESHOLD', 6);
+        this.IMAGE_HASH_STORE = process.env.IMAGE_HASH_STORE || path.join(__dirname, 'data', 'image-hashes.json');
+        this.IMAGE_HASH_MAX = envNumber('IMAGE_HASH_MAX', 10000); // Oldest screenshots are forgotten past this many
+        this.imageHashes = this.IMAGE_MATCH_ENABLED
+            ? new ImageHashStore(this.IMAGE_HASH_STORE, this.IMAGE_MATCH_THRESHOLD, this.IMAGE_HASH_MAX)
+            : null;
+        this.STAFF_LOG_CHANNEL = process.env.STAFF_LOG_CHANNEL || null;
         
         this.activeTickets = new Map(); // Track active tickets
         this.pendingClosures = new Map(); // Track channels waiting to be closed
+        this.timers = new Map(); // Armed close/delete/remind/inactive timers, keyed by "<type>:<channelId>"
+        this.retryAttempts = new Map(); // Consecutive failed closes/deletes, keyed like the timers
+        this.store = new JsonStore(this.TICKET_STORE, { activeTickets: {}, pendingClosures: {} });
         
         // Statistics tracking
         this.stats = {
             ticketsCreated: 0,
             ticketsCompleted: 0,
+            ticketsAutoAnswered: 0,
             ticketsClosed: 0,
+            inactivityReminders: 0,
+            ticketsClosedInactive: 0,
+            reusedImagesFlagged: 0,
+            uncheckedImagesFlagged: 0,
             slashCommandsExecuted: 0,
             errors: 0,
             startTime: new Date()
@@ -26,21 +105,24 @@ class TicketSender {
         this.log('🚀 TicketSender initialized', {
             ticketCategory: this.TICKET_CATEGORY,
             closeHours: this.CLOSE_HOURS,
-            debugMode: this.DEBUG_MODE
+            inactivityReminderMinutes: this.INACTIVITY_REMINDER_MINUTES,
+            inactivityCloseHours: this.INACTIVITY_CLOSE_HOURS,
+            ticketBackend: this.backend.name,
+            imageMatchEnabled: this.IMAGE_MATCH_ENABLED,
+            imageMatchThreshold: this.IMAGE_MATCH_THRESHOLD,
+            staffLogChannel: this.STAFF_LOG_CHANNEL,
+            ticketStore: this.TICKET_STORE,
+            flowsFile: this.FLOWS_FILE,
+            flowCategories: Object.keys(this.flows.categories),
+            logLevel: LOG_LEVEL
         });
     }
 
     /**
-     * Enhanced logging with timestamps and context
+     * Log a JSON line with the given context fields (channelId, messageId, ...)
      */
-    log(message, context = {}, level = 'INFO') {
-        const timestamp = new Date().toISOString().replace('T', ' ').replace(/\..+/, '');
-        const contextStr = Object.keys(context).length > 0 ? JSON.stringify(context, null, 2) : '';
-        
-        console.log(`[${timestamp}] [TICKET-${level}] ${message}`);
-        if (contextStr && (this.DEBUG_MODE || level === 'ERROR')) {
-            console.log(`[${timestamp}] [TICKET-CONTEXT] ${contextStr}`);
-        }
+    log(message, context = {}, level = 'info') {
+        this.logger[level](message, context);
     }
 
     /**
@@ -48,20 +130,14 @@ class TicketSender {
      */
     logError(message, error, context = {}) {
         this.stats.errors++;
-        this.log(`❌ ${message}`, {
-            ...context,
-            error: error.message,
-            stack: error.stack
-        }, 'ERROR');
+        this.log(`❌ ${message}`, { ...context, error }, 'error');
     }
 
     /**
-     * Debug logging (only shown in debug mode)
+     * Debug logging (only written when LOG_LEVEL is debug)
      */
     debug(message, context = {}) {
-        if (this.DEBUG_MODE) {
-            this.log(`🔍 ${message}`, context, 'DEBUG');
-        }
+        this.log(`🔍 ${message}`, context, 'debug');
     }
 
     /**
@@ -82,6 +158,8 @@ class TicketSender {
      * Initialize the sender and set up event listeners
      */
     init() {
+        this.restoreState();
+
         this.log('🎯 Initializing event listeners');
         
         this.client.on('channelCreate', (channel) => {
@@ -90,6 +168,23 @@ class TicketSender {
             });
         });
 
+        this.client.on('interactionCreate', (interaction) => {
+            this.handleInteraction(interaction).catch(async error => {
+                this.logError('Failed in interactionCreate handler', error, {
+                    interactionId: interaction.id,
+                    userId: interaction.user?.id
+                });
+                // Answer anyway so the command does not hang on "application did not respond"
+                const content = `❌ Ticket command failed: ${error.message}`;
+                try {
+                    if (interaction.replied || interaction.deferred) await interaction.editReply(content);
+                    else await interaction.reply({ content, ephemeral: true });
+                } catch (replyError) {
+                    this.logError('Failed to report ticket command error', replyError, { interactionId: interaction.id });
+                }
+            });
+        });
+
         this.client.on('messageCreate', (message) => {
             this.handleUserMessage(message).catch(error => {
                 this.logError('Failed in messageCreate handler', error, { 
@@ -108,6 +203,319 @@ class TicketSender {
         this.log('✅ Event listeners initialized successfully');
     }
 
+    /**
+     * Reload tickets from the store, catch up on overdue closures/deletions and re-arm pending timers
+     */
+    restoreState() {
+        let data;
+        try {
+            data = this.store.load();
+        } catch (error) {
+            this.logError('Failed to load ticket store, starting empty', error, { ticketStore: this.TICKET_STORE });
+            return;
+        }
+
+        Object.entries(data.activeTickets).forEach(([channelId, ticket]) => {
+            // Tickets stored before configurable requirements only tracked address and image flags
+            if (!ticket.requirements) {
+                ticket.requirements = { evmAddress: Boolean(ticket.hasEvmAddress), screenshot: Boolean(ticket.hasImage) };
+                ticket.values = ticket.evmAddress ? { evmAddress: ticket.evmAddress } : {};
+            }
+            // Tickets stored before multi-language support were all English
+            if (!ticket.language) {
+                ticket.language = this.flows.languages.default;
+                ticket.languageSource = 'default';
+            }
+            this.activeTickets.set(channelId, {
+                reusedImages: [],
+                uncheckedImages: [],
+                ...ticket,
+                createdAt: new Date(ticket.createdAt),
+                // Tickets stored before inactivity handling count as active since they were opened
+                lastActivityAt: new Date(ticket.lastActivityAt || ticket.createdAt),
+                reminderSentAt: ticket.reminderSentAt ? new Date(ticket.reminderSentAt) : undefined,
+                inactivityCloseAt: ticket.inactivityCloseAt ? new Date(ticket.inactivityCloseAt) : undefined,
+                completedAt: ticket.completedAt ? new Date(ticket.completedAt) : undefined,
+                closeAt: ticket.closeAt ? new Date(ticket.closeAt) : undefined
+            });
+        });
+
+        Object.entries(data.pendingClosures).forEach(([channelId, closure]) => {
+            this.pendingClosures.set(channelId, {
+                ...closure,
+                closedAt: new Date(closure.closedAt),
+                deleteAt: new Date(closure.deleteAt)
+            });
+        });
+
+        this.activeTickets.forEach((ticket, channelId) => {
+            if (ticket.closeAt) this.scheduleClosure(channelId, ticket.closeAt);
+            if (ticket.awaitingResponse) this.scheduleInactivity(channelId, ticket);
+        });
+        this.pendingClosures.forEach((closure, channelId) => {
+            this.scheduleDeletion(channelId, closure.deleteAt);
+        });
+
+        this.log('💾 Ticket state restored', {
+            activeTickets: this.activeTickets.size,
+            pendingClosures: this.pendingClosures.size
+        });
+    }
+
+    /**
+     * Write active tickets and pending closures to the store
+     */
+    persistState() {
+        try {
+            this.store.save({
+                activeTickets: Object.fromEntries(this.activeTickets),
+                pendingClosures: Object.fromEntries(this.pendingClosures)
+            });
+        } catch (error) {
+            this.logError('Failed to persist ticket state', error, { ticketStore: this.TICKET_STORE });
+        }
+    }
+
+    /**
+     * Arm a timer, replacing any timer already armed under the same key.
+     * Overdue timers fire immediately.
+     */
+    armTimer(key, at, callback) {
+        this.clearTimer(key);
+        const delayMs = Math.max(0, at.getTime() - Date.now());
+        this.timers.set(key, setTimeout(() => {
+            this.timers.delete(key);
+            callback();
+        }, delayMs));
+        return delayMs;
+    }
+
+    /**
+     * When to retry a failed close/delete: exponential backoff per timer key
+     */
+    getRetryAt(key) {
+        const attempts = (this.retryAttempts.get(key) || 0) + 1;
+        this.retryAttempts.set(key, attempts);
+        return new Date(Date.now() + Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS));
+    }
+
+    /**
+     * Cancel an armed timer if there is one
+     */
+    clearTimer(key) {
+        if (this.timers.has(key)) {
+            clearTimeout(this.timers.get(key));
+            this.timers.delete(key);
+        }
+    }
+
+    /**
+     * Schedule the automatic closure of a ticket
+     */
+    scheduleClosure(channelId, closeAt) {
+        const delayMs = this.armTimer(`close:${channelId}`, closeAt, () => {
+            this.log('🔄 Executing scheduled ticket closure', {
+                channelId,
+                scheduledTime: closeAt.toISOString(),
+                actualTime: new Date().toISOString()
+            });
+            this.closeTicket(channelId);
+        });
+
+        this.log('⏰ Ticket closure scheduled', {
+            channelId,
+            closeInMs: delayMs,
+            scheduledCloseTime: closeAt.toISOString()
+        });
+    }
+
+    /**
+     * Schedule the transcript/delete sequence of a closed ticket
+     */
+    scheduleDeletion(channelId, deleteAt) {
+        const delayMs = this.armTimer(`delete:${channelId}`, deleteAt, () => {
+            this.deleteTicket(channelId);
+        });
+
+        this.log('⏰ Ticket deletion scheduled', {
+            channelId,
+            deleteInMs: delayMs,
+            scheduledDeleteTime: deleteAt.toISOString()
+        });
+    }
+
+    /**
+     * Arm the inactivity reminder and auto-close of a ticket still waiting on its requirements,
+     * counted from its last message. The reminder is sent once per quiet period.
+     */
+    scheduleInactivity(channelId, ticket) {
+        const lastActivity = ticket.lastActivityAt.getTime();
+
+        if (this.INACTIVITY_CLOSE_HOURS > 0) {
+            ticket.inactivityCloseAt = new Date(lastActivity + this.INACTIVITY_CLOSE_HOURS * 60 * 60 * 1000);
+            this.armTimer(`inactive:${channelId}`, ticket.inactivityCloseAt, () => this.closeInactiveTicket(channelId));
+        } else {
+            ticket.inactivityCloseAt = undefined; // May be left over from a run with auto-close enabled
+        }
+
+        const reminderAt = new Date(lastActivity + this.INACTIVITY_REMINDER_MINUTES * 60 * 1000);
+        const closeDue = ticket.inactivityCloseAt && ticket.inactivityCloseAt <= reminderAt;
+        const remind = this.INACTIVITY_REMINDER_MINUTES > 0 && !ticket.reminderSentAt && !closeDue;
+        if (remind) {
+            this.armTimer(`remind:${channelId}`, reminderAt, () => this.sendInactivityReminder(channelId));
+        }
+
+        this.debug('Inactivity timers armed', {
+            channelId,
+            reminderAt: remind ? reminderAt.toISOString() : null,
+            inactivityCloseAt: ticket.inactivityCloseAt ? ticket.inactivityCloseAt.toISOString() : null
+        });
+    }
+
+    clearInactivity(channelId) {
+        this.clearTimer(`remind:${channelId}`);
+        this.clearTimer(`inactive:${channelId}`);
+    }
+
+    /**
+     * Ping a quiet ticket's owner with what is still missing
+     */
+    async sendInactivityReminder(channelId) {
+        const ticket = this.activeTickets.get(channelId);
+        if (!ticket || !ticket.awaitingResponse) return;
+
+        try {
+            const channel = await this.resolveChannel(channelId);
+            if (!channel) {
+                this.log('⚠️ Channel gone before inactivity reminder', { channelId });
+                return;
+            }
+            const variables = this.getTemplateVariables(ticket);
+            const reminder = templates.render('INACTIVITY_REMINDER_MESSAGE', variables, ticket.language);
+            // Reminders and auto-close are configured separately, so only mention a close that is armed
+            const notice = ticket.inactivityCloseAt
+                ? templates.render('INACTIVITY_CLOSE_NOTICE', variables, ticket.language)
+                : null;
+            await channel.send(notice ? `${reminder}\n\n${notice}` : reminder);
+            ticket.reminderSentAt = new Date();
+            this.stats.inactivityReminders++;
+            this.persistState();
+            this.log('⏰ Inactivity reminder sent', {
+                channelId,
+                missing: this.getMissingRequirements(ticket),
+                inactivityCloseAt: ticket.inactivityCloseAt ? ticket.inactivityCloseAt.toISOString() : null
+            });
+        } catch (error) {
+            this.logError('Failed to send inactivity reminder', error, { channelId });
+        }
+    }
+
+    /**
+     * Close a ticket whose owner never met the requirements, saying why first
+     */
+    async closeInactiveTicket(channelId) {
+        const ticket = this.activeTickets.get(channelId);
+        if (!ticket || !ticket.awaitingResponse) return;
+
+        this.log('💤 Closing ticket due to inactivity', {
+            channelId,
+            lastActivityAt: ticket.lastActivityAt.toISOString(),
+            missing: this.getMissingRequirements(ticket)
+        });
+        try {
+            const channel = await this.resolveChannel(channelId);
+            if (channel) {
+                await channel.send(templates.render('INACTIVITY_CLOSE_MESSAGE', this.getTemplateVariables(ticket), ticket.language));
+            }
+        } catch (error) {
+            this.logError('Failed to send inactivity close message', error, { channelId });
+        }
+        this.stats.ticketsClosedInactive++;
+        await this.closeTicket(channelId);
+    }
+
+    /**
+     * Resolve a channel from cache, falling back to the API
+     */
+    async resolveChannel(channelId) {
+        const cached = this.client.channels.cache.get(channelId);
+        if (cached) return cached;
+        return this.client.channels.fetch(channelId).catch(() => null);
+    }
+
+    /**
+     * Intake flow for a ticket category: a category-specific flow, the default flow for
+     * TICKET_CAT, or null when the category is not handled
+     */
+    getFlow(categoryId) {
+        if (this.flows.categories[categoryId]) return this.flows.categories[categoryId];
+        if (categoryId === this.TICKET_CATEGORY) return this.flows.default;
+        return null;
+    }
+
+    /**
+     * Flow a tracked ticket was opened with (tickets restored from older state fall back to the default)
+     */
+    getTicketFlow(ticket) {
+        return this.getFlow(ticket.categoryId) || this.flows.default;
+    }
+
+    /**
+     * Pick a new ticket's language: the category flow's setting, then a language role on the ticket
+     * owner, then the default. A default choice can still be replaced by detection on the owner's messages.
+     */
+    async chooseLanguage(channel, flow, userId) {
+        const { languages } = this.flows;
+        if (flow.language) return { language: flow.language, source: 'category' };
+
+        const roleIds = Object.keys(languages.roles);
+        if (roleIds.length > 0 && channel.guild) {
+            try {
+                const member = await channel.guild.members.fetch(userId);
+                const roleId = roleIds.find(id => member.roles.cache.has(id));
+                if (roleId) return { language: languages.roles[roleId], source: 'role' };
+            } catch (error) {
+                this.debug('Could not fetch ticket owner for language roles', { channelId: channel.id, userId, error: error.message });
+            }
+        }
+
+        return { language: languages.default, source: 'default' };
+    }
+
+    /**
+     * A requirement's reminder in the ticket's language, falling back to the English reminder, then the label
+     */
+    getReminder(requirement, language) {
+        return (requirement.reminders && requirement.reminders[language]) || requirement.reminder || requirement.label;
+    }
+
+    /**
+     * Variables available to a ticket's message templates
+     */
+    getTemplateVariables(ticket, extra = {}) {
+        return {
+            userTag: ticket.userTag,
+            closeHours: this.CLOSE_HOURS,
+            closeIn: formatDuration(this.CLOSE_HOURS * 60 * 60 * 1000, ticket.language),
+            requirements: this.getTicketFlow(ticket).requirements
+                .filter(requirement => !ticket.requirements[requirement.id])
+                .map(requirement => this.getReminder(requirement, ticket.language))
+                .join('\n'),
+            ticketAge: formatDuration(Date.now() - new Date(ticket.createdAt).getTime(), ticket.language),
+            inactivityCloseIn: ticket.inactivityCloseAt
+                ? formatDuration(Math.max(0, ticket.inactivityCloseAt.getTime() - Date.now()), ticket.language)
+                : '',
+            ...extra
+        };
+    }
+
+    /**
+     * Render a flow message (a template name, or literal text) for a ticket in its language
+     */
+    renderMessage(name, ticket, extra = {}) {
+        return templates.renderText(name, this.getTemplateVariables(ticket, extra), ticket.language);
+    }
+
     /**
      * Log current system status
      */
@@ -135,8 +543,9 @@ class TicketSender {
                 targetCategory: this.TICKET_CATEGORY
             });
 
-            // Check if channel is created in the target category
-            if (channel.parentId !== this.TICKET_CATEGORY) {
+            // Check if channel is created in a category with an intake flow
+            const flow = this.getFlow(channel.parentId);
+            if (!flow) {
                 this.debug('Channel not in target category, ignoring', {
                     channelId: channel.id,
                     parentId: channel.parentId
@@ -173,8 +582,29 @@ class TicketSender {
 
             this.log('👤 User tag extracted', { channelId: channel.id, userTag });
 
+            const { language, source: languageSource } = await this.chooseLanguage(channel, flow, userTag.replace(/\D/g, ''));
+            this.log('🌐 Ticket language chosen', { channelId: channel.id, language, languageSource });
+
+            const createdAt = new Date();
+            const ticketData = {
+                channelId: channel.id,
+                categoryId: channel.parentId,
+                userTag: userTag,
+                createdAt,
+                lastActivityAt: createdAt,
+                awaitingResponse: true,
+                requirements: {}, // Requirement id -> met
+                values: {}, // Requirement id -> captured value (address, attachment URL, ...)
+                reusedImages: [], // Screenshots matching one from an earlier ticket
+                uncheckedImages: [], // Screenshots that could not be fingerprinted, held for staff review
+                language,
+                languageSource, // category, role, default or detected
+                initialMessageId: null
+            };
+
             // Send initial automated message
-            const sentMessage = await channel.send(messages.INITIAL_MESSAGE.replace('{userTag}', userTag));
+            const sentMessage = await channel.send(this.renderMessage(flow.initialMessage, ticketData));
+            ticketData.initialMessageId = sentMessage.id;
             this.log('📤 Initial automated message sent', {
                 channelId: channel.id,
                 messageId: sentMessage.id,
@@ -182,17 +612,9 @@ class TicketSender {
             });
 
             // Track this ticket
-            const ticketData = {
-                channelId: channel.id,
-                userTag: userTag,
-                createdAt: new Date(),
-                awaitingResponse: true,
-                hasEvmAddress: false,
-                hasImage: false,
-                initialMessageId: sentMessage.id
-            };
-
             this.activeTickets.set(channel.id, ticketData);
+            this.scheduleInactivity(channel.id, ticketData);
+            this.persistState();
             this.log('✅ Ticket tracked successfully', {
                 channelId: channel.id,
                 ticketData
@@ -311,113 +733,85 @@ class TicketSender {
                 attachmentsCount: message.attachments.size
             });
 
-            let hasNewEvmAddress = false;
-            let hasNewImage = false;
+            // Any message restarts the inactivity countdown and allows another reminder
+            ticket.lastActivityAt = new Date();
+            ticket.reminderSentAt = undefined;
+            this.scheduleInactivity(message.channel.id, ticket);
 
-            // Check for EVM address (enhanced validation with logging)
-            const evmAddressRegex = /0x[a-fA-F0-9]{40}/g;
-            const evmMatches = message.content.match(evmAddressRegex);
-            
-            if (evmMatches && evmMatches.length > 0) {
-                hasNewEvmAddress = true;
-                this.log('💰 EVM address detected in message', {
+            // Until a category or role decided it, the owner's first recognizable message sets the language
+            if (ticket.languageSource === 'default' && this.flows.languages.detect && ticket.userTag === `<@${message.author.id}>`) {
+                const detected = detectLanguage(message.content);
+                if (detected) {
+                    ticket.language = detected;
+                    ticket.languageSource = 'detected';
+                    this.log('🌐 Ticket language detected', { channelId: message.channel.id, language: detected });
+                }
+            }
+
+            const flow = this.getTicketFlow(ticket);
+            const results = evaluateMessage(flow, ticket.requirements, message);
+            const newlyMet = await this.screenReusedImages(message, ticket, results.filter(result => result.met));
+
+            newlyMet.forEach(({ requirement, value }) => {
+                ticket.requirements[requirement.id] = true;
+                ticket.values[requirement.id] = value;
+                this.log('✔️ Ticket requirement met', {
                     channelId: message.channel.id,
                     messageId: message.id,
-                    addresses: evmMatches,
-                    previouslyHadAddress: ticket.hasEvmAddress
+                    requirement: requirement.id,
+                    value
                 });
-                ticket.hasEvmAddress = true;
-            } else {
-                this.debug('No EVM address found in message content', {
+            });
+
+            // Warn about addresses that look right but fail the checksum
+            const invalidAddresses = results
+                .filter(result => !result.met && result.invalid && result.invalid.length > 0)
+                .flatMap(result => result.invalid);
+            if (invalidAddresses.length > 0) {
+                this.log('⚠️ EVM address with bad checksum in message', {
                     channelId: message.channel.id,
                     messageId: message.id,
-                    content: message.content.substring(0, 100) + '...'
+                    addresses: invalidAddresses
                 });
+                await message.channel.send(templates.render('INVALID_ADDRESS_MESSAGE', this.getTemplateVariables(ticket, {
+                    address: invalidAddresses[0]
+                }), ticket.language));
             }
 
-            // Check for image attachments (enhanced validation with logging)
-            if (message.attachments.size > 0) {
-                const imageAttachments = [];
-                message.attachments.forEach(attachment => {
-                    this.debug('Checking attachment', {
-                        channelId: message.channel.id,
-                        attachmentId: attachment.id,
-                        name: attachment.name,
-                        contentType: attachment.contentType,
-                        size: attachment.size
-                    });
-                    
-                    if (attachment.contentType && attachment.contentType.startsWith('image/')) {
-                        imageAttachments.push({
-                            id: attachment.id,
-                            name: attachment.name,
-                            contentType: attachment.contentType
-                        });
-                        hasNewImage = true;
-                    }
-                });
-
-                if (hasNewImage) {
-                    this.log('🖼️ Image attachments detected', {
-                        channelId: message.channel.id,
-                        messageId: message.id,
-                        imageAttachments,
-                        previouslyHadImage: ticket.hasImage
-                    });
-                    ticket.hasImage = true;
-                }
+            // Answer from the Processed sheet as soon as an address arrives
+            const addressResult = newlyMet.find(result => result.requirement.type === 'evmAddress');
+            if (addressResult && flow.statusLookup && this.lookupSubmission) {
+                const answered = await this.answerSubmissionStatus(message, ticket, addressResult.value);
+                if (answered) return;
             }
 
+            const missing = flow.requirements.filter(requirement => !ticket.requirements[requirement.id]);
+
             // Log current ticket requirements status
             this.log('📋 Ticket requirements check', {
                 channelId: message.channel.id,
-                hasEvmAddress: ticket.hasEvmAddress,
-                hasImage: ticket.hasImage,
-                bothRequirementsMet: ticket.hasEvmAddress && ticket.hasImage
+                met: Object.keys(ticket.requirements),
+                missing: missing.map(requirement => requirement.id)
             });
 
-            // If both requirements are met, send the form message
-            if (ticket.hasEvmAddress && ticket.hasImage) {
+            // If all requirements are met, send the final message
+            if (missing.length === 0) {
                 this.log('✅ All requirements met, sending form message', {
                     channelId: message.channel.id
                 });
-                
-                const formMessage = await message.channel.send(messages.FORM_MESSAGE);
-                
-                this.log('📤 Form message sent successfully', {
-                    channelId: message.channel.id,
-                    formMessageId: formMessage.id
-                });
-                
-                ticket.awaitingResponse = false;
-                ticket.completedAt = new Date();
-                ticket.formMessageId = formMessage.id;
-                this.stats.ticketsCompleted++;
-                
-                // Schedule automatic closure with detailed logging
-                const closeTimeoutMs = this.CLOSE_HOURS * 60 * 60 * 1000;
-                const closeTime = new Date(Date.now() + closeTimeoutMs);
-                
-                this.log('⏰ Scheduling automatic ticket closure', {
-                    channelId: message.channel.id,
-                    closeInMs: closeTimeoutMs,
-                    closeInHours: this.CLOSE_HOURS,
-                    scheduledCloseTime: closeTime.toISOString()
-                });
-                
-                setTimeout(() => {
-                    this.log('🔄 Executing scheduled ticket closure', {
-                        channelId: message.channel.id,
-                        scheduledTime: closeTime.toISOString(),
-                        actualTime: new Date().toISOString()
-                    });
-                    this.closeTicket(message.channel.id);
-                }, closeTimeoutMs);
+                await this.completeTicket(message.channel, ticket);
             } else {
+                this.persistState();
+
+                // Acknowledge progress by reminding the user of what is still missing
+                if (newlyMet.length > 0) {
+                    const reminders = missing.map(requirement => this.getReminder(requirement, ticket.language));
+                    await message.channel.send(reminders.join('\n'));
+                }
+
                 this.debug('Requirements not yet met, waiting for more messages', {
                     channelId: message.channel.id,
-                    missingEvmAddress: !ticket.hasEvmAddress,
-                    missingImage: !ticket.hasImage
+                    missing: missing.map(requirement => requirement.id)
                 });
             }
 
@@ -433,63 +827,415 @@ class TicketSender {
     }
 
     /**
-     * Close ticket by executing /close slash command
+     * Fingerprint the images that would meet a screenshot requirement and compare them with earlier
+     * tickets. An image close to an earlier one is flagged instead; returns the results still met.
+     */
+    async screenReusedImages(message, ticket, metResults) {
+        if (!this.imageHashes) return metResults;
+        const screened = [];
+        for (const result of metResults) {
+            const { requirement } = result;
+            if (requirement.type !== 'attachment' || !requirement.contentType.startsWith('image/')) {
+                screened.push(result);
+                continue;
+            }
+
+            const images = [...message.attachments.values()].filter(item =>
+                item.contentType && item.contentType.startsWith(requirement.contentType)
+            );
+            let accepted = null;
+            let reused = null;
+            let unchecked = null;
+            for (const image of images) {
+                let hash;
+                try {
+                    hash = await this.imageHashes.fingerprint(image.url, image.size);
+                } catch (error) {
+                    // An image that cannot be checked could be a reused one, so staff decide instead
+                    this.log('⚠️ Could not fingerprint image, holding it for staff review', {
+                        channelId: message.channel.id,
+                        messageId: message.id,
+                        url: image.url,
+                        error
+                    }, 'warn');
+                    unchecked = unchecked || { image, error };
+                    continue;
+                }
+
+                const match = this.imageHashes.findMatch(hash, message.channel.id);
+                if (match) {
+                    reused = reused || { image, match };
+                    continue;
+                }
+                this.imageHashes.add({
+                    hash,
+                    channelId: message.channel.id,
+                    channelName: message.channel.name,
+                    userId: message.author.id,
+                    messageId: message.id,
+                    url: image.url
+                });
+                accepted = image;
+                break;
+            }
+
+            if (accepted) {
+                screened.push({ ...result, value: accepted.url });
+            } else if (reused) {
+                await this.flagReusedImage(message, ticket, reused.image, reused.match);
+            } else if (unchecked) {
+                await this.flagUncheckedImage(message, ticket, unchecked.image, unchecked.error);
+            }
+        }
+        return screened;
+    }
+
+    /**
+     * Post to the staff log channel, if one is configured, without pinging anyone
+     */
+    async sendStaffLog(content) {
+        if (!this.STAFF_LOG_CHANNEL) return;
+        try {
+            const staffLog = await this.client.channels.fetch(this.STAFF_LOG_CHANNEL);
+            await staffLog.send({ content, allowedMentions: { parse: [] } });
+        } catch (error) {
+            this.logError('Failed to post to the staff log', error, { staffLogChannel: this.STAFF_LOG_CHANNEL });
+        }
+    }
+
+    /**
+     * Record a reused screenshot on the ticket and tell the ticket and the staff log where it was seen before
+     */
+    async flagReusedImage(message, ticket, image, match) {
+        const flag = {
+            messageId: message.id,
+            url: image.url,
+            earlierChannelId: match.channelId,
+            earlierChannelName: match.channelName,
+            earlierUserId: match.userId,
+            earlierRecordedAt: match.recordedAt,
+            distance: match.distance,
+            flaggedAt: new Date()
+        };
+        ticket.reusedImages.push(flag);
+        this.stats.reusedImagesFlagged++;
+        this.log('🚩 Reused screenshot flagged', { channelId: message.channel.id, userId: message.author.id, ...flag }, 'warn');
+
+        const earlierTicket = `#${match.channelName} (${match.channelId})`;
+        const earlierUser = `<@${match.userId}>`;
+        // Name the earlier user without pinging them
+        const noPings = { parse: [] };
+        await message.channel.send({
+            content: templates.render('REUSED_IMAGE_MESSAGE', this.getTemplateVariables(ticket, { earlierTicket, earlierUser }), ticket.language),
+            allowedMentions: noPings
+        });
+
+        await this.sendStaffLog(
+            `🚩 Reused screenshot in <#${message.channel.id}> from <@${message.author.id}>: ` +
+            `matches an image from ${earlierTicket} by ${earlierUser} ` +
+            `(${match.distance}/64 bits differ, first seen <t:${Math.floor(new Date(match.recordedAt).getTime() / 1000)}:R>)\n${image.url}`
+        );
+    }
+
+    /**
+     * Record a screenshot that could not be fingerprinted and leave it for staff to review
+     */
+    async flagUncheckedImage(message, ticket, image, error) {
+        const flag = {
+            messageId: message.id,
+            url: image.url,
+            error: error.message,
+            flaggedAt: new Date()
+        };
+        ticket.uncheckedImages.push(flag);
+        this.stats.uncheckedImagesFlagged++;
+        this.log('🔍 Unchecked screenshot held for review', { channelId: message.channel.id, userId: message.author.id, ...flag }, 'warn');
+
+        // Optional template: a template file without it just skips the ticket message
+        const notice = templates.render('UNCHECKED_IMAGE_MESSAGE', this.getTemplateVariables(ticket), ticket.language);
+        if (notice) await message.channel.send(notice);
+
+        await this.sendStaffLog(
+            `🔍 Screenshot in <#${message.channel.id}> from <@${message.author.id}> could not be checked for reuse ` +
+            `(${error.message}), please review it\n${image.url}`
+        );
+    }
+
+    /**
+     * Look up the ticket's submission and post its state. Returns true when the state explains
+     * the issue and the ticket was closed out, false when it should continue to staff.
+     */
+    async answerSubmissionStatus(message, ticket, address) {
+        let submission;
+        try {
+            // Staff may paste the address for the applicant, so look up the ticket owner rather than the author
+            submission = await this.lookupSubmission({ address, userId: ticket.userTag.replace(/\D/g, ''), guildId: message.guild && message.guild.id });
+        } catch (error) {
+            this.logError('Submission lookup failed', error, { channelId: message.channel.id, address });
+            return false;
+        }
+
+        this.log('🔎 Submission looked up', {
+            channelId: message.channel.id,
+            address,
+            userId: message.author.id,
+            submission
+        });
+        ticket.submission = submission;
+
+        const answer = templates.render(`SUBMISSION_${submission.state.toUpperCase()}`, this.getTemplateVariables(ticket, {
+            address,
+            row: submission.rowNumber,
+            batch: submission.batchId,
+            reason: submission.reason
+        }), ticket.language);
+        if (!answer) {
+            this.persistState();
+            return false;
+        }
+
+        if (!RESOLVED_SUBMISSION_STATES.includes(submission.state)) {
+            await message.channel.send(answer);
+            this.persistState();
+            return false;
+        }
+
+        this.stats.ticketsAutoAnswered++;
+        await this.completeTicket(message.channel, ticket, answer);
+        return true;
+    }
+
+    /**
+     * Send the flow's final message (or the given content) and schedule the automatic closure of a ticket
+     */
+    async completeTicket(channel, ticket, content = this.renderMessage(this.getTicketFlow(ticket).finalMessage, ticket)) {
+        const formMessage = await channel.send(content);
+        
+        this.log('📤 Form message sent successfully', {
+            channelId: channel.id,
+            formMessageId: formMessage.id
+        });
+        
+        // Schedule automatic closure
+        const closeTimeoutMs = this.CLOSE_HOURS * 60 * 60 * 1000;
+        
+        this.clearInactivity(channel.id);
+        ticket.awaitingResponse = false;
+        ticket.completedAt = new Date();
+        ticket.closeAt = new Date(Date.now() + closeTimeoutMs);
+        ticket.formMessageId = formMessage.id;
+        this.stats.ticketsCompleted++;
+        
+        this.scheduleClosure(channel.id, ticket.closeAt);
+        this.persistState();
+    }
+
+    /**
+     * Close a ticket through the configured backend and schedule its deletion
      */
-      async closeTicket(channelId) {
+    async closeTicket(channelId) {
         const timer = this.startTimer('closeTicket');
         try {
-            this.log('🔒 Starting ticket closure process by sending $close command', { channelId });
+            this.log('🔒 Starting ticket closure', { channelId, backend: this.backend.name });
+            this.clearTimer(`close:${channelId}`);
+            this.clearInactivity(channelId);
 
-            let channel = this.client.channels.cache.get(channelId);
+            const channel = await this.resolveChannel(channelId);
             if (!channel) {
-                this.log('⚠️ Channel not found in cache, attempting to fetch', { channelId });
-                try {
-                    channel = await this.client.channels.fetch(channelId);
-                    if (!channel) {
-                        this.log('❌ Channel not found even after fetch', { channelId });
-                        return;
-                    }
-                } catch (fetchError) {
-                    this.logError('Failed to fetch channel', fetchError, { channelId });
-                    return;
-                }
+                this.log('❌ Channel not found, dropping ticket', { channelId });
+                this.activeTickets.delete(channelId);
+                this.persistState();
+                return;
             }
-            
-            // Send $close command as a message
-            await channel.send('$close');
-            this.log('✅ $close command sent successfully', { channelId });
+
+            const result = await this.backend.close(channel, this.activeTickets.get(channelId) || {});
 
             // Update statistics and tracking
-            this.activeTickets.delete(channelId);
-            this.pendingClosures.set(channelId, {
+            const deleteTimeoutMs = this.DELETE_HOURS * 60 * 60 * 1000;
+            const closure = {
                 closedAt: new Date(),
-                method: 'message_command',
-                command: '$close'
-            });
+                deleteAt: new Date(Date.now() + deleteTimeoutMs),
+                ...result
+            };
+            this.activeTickets.delete(channelId);
+            this.pendingClosures.set(channelId, closure);
+            this.retryAttempts.delete(`close:${channelId}`);
             this.stats.ticketsClosed++;
-			const deleteTimeoutMs = this.DELETE_HOURS * 60 * 60 * 1000; // DELETE_HOURS in ms
-setTimeout(async () => {
-    try {
-        let channel = this.client.channels.cache.get(channelId);
-        if (!channel) {
-            channel = await this.client.channels.fetch(channelId).catch(() => null);
-            if (!channel) return;
-        }
-        await channel.send('$transcript');
-        setTimeout(async () => {
-            await channel.send('$delete');
-        }, 2000);
-    } catch (err) {
-        this.logError('Failed during transcript/delete sequence', err, { channelId });
-    }
-}, deleteTimeoutMs);
+            this.persistState();
+
+            this.scheduleDeletion(channelId, closure.deleteAt);
         } catch (error) {
-            this.logError('Failed to close ticket', error, { channelId });
+            this.logError('Failed to close ticket', error, { channelId, backend: this.backend.name, step: error.step });
+            // The close timer is already cleared, so re-arm it or the ticket would stay open forever
+            const ticket = this.activeTickets.get(channelId);
+            if (ticket) {
+                ticket.closeAt = this.getRetryAt(`close:${channelId}`);
+                this.scheduleClosure(channelId, ticket.closeAt);
+                this.persistState();
+            }
+        } finally {
+            timer.end();
+        }
+    }
+
+    /**
+     * Transcript and delete a closed ticket through the configured backend, then stop tracking it
+     */
+    async deleteTicket(channelId) {
+        const timer = this.startTimer('deleteTicket');
+        try {
+            const channel = await this.resolveChannel(channelId);
+            if (channel) {
+                const result = await this.backend.remove(channel, this.pendingClosures.get(channelId) || {});
+                this.log('🗑️ Ticket deleted', { channelId, ...result });
+            } else {
+                this.log('⚠️ Channel already gone, nothing to delete', { channelId });
+            }
+
+            this.pendingClosures.delete(channelId);
+            this.retryAttempts.delete(`delete:${channelId}`);
+            this.persistState();
+        } catch (err) {
+            this.logError('Failed during transcript/delete sequence', err, { channelId, backend: this.backend.name, step: err.step });
+            const closure = this.pendingClosures.get(channelId);
+            if (closure) {
+                closure.deleteAt = this.getRetryAt(`delete:${channelId}`);
+                this.scheduleDeletion(channelId, closure.deleteAt);
+                this.persistState();
+            }
         } finally {
             timer.end();
         }
     }
 
+    /**
+     * Slash command definition for moderator ticket management
+     */
+    getSlashCommand() {
+        const channelOption = option => option
+            .setName('channel')
+            .setDescription('Ticket channel (defaults to the current channel)')
+            .setRequired(false);
+
+        return new SlashCommandBuilder()
+            .setName('ticket')
+            .setDescription('Inspect and manage automated tickets')
+            .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
+            .setDMPermission(false)
+            .addSubcommand(sub => sub.setName('list').setDescription('List open tickets with age and missing requirements'))
+            .addSubcommand(sub => sub.setName('stats').setDescription('Show ticket system statistics'))
+            .addSubcommand(sub => sub.setName('close').setDescription('Close a ticket now')
+                .addChannelOption(channelOption))
+            .addSubcommand(sub => sub.setName('complete').setDescription('Mark a ticket as complete and send the form message')
+                .addChannelOption(channelOption))
+            .addSubcommand(sub => sub.setName('extend').setDescription('Push back a ticket\'s auto-close deadline')
+                .addNumberOption(option => option.setName('hours').setDescription('Hours to add').setRequired(true).setMinValue(0.1))
+                .addChannelOption(channelOption))
+            .addSubcommand(sub => sub.setName('reload-templates').setDescription('Reload message templates from disk'));
+    }
+
+    /**
+     * Describe which requirements a ticket is still missing
+     */
+    getMissingRequirements(ticket) {
+        return this.getTicketFlow(ticket).requirements
+            .filter(requirement => !ticket.requirements[requirement.id])
+            .map(requirement => requirement.label);
+    }
+
+    /**
+     * Handle /ticket interactions from moderators
+     */
+    async handleInteraction(interaction) {
+        if (!interaction.isChatInputCommand() || interaction.commandName !== 'ticket') return;
+
+        const subcommand = interaction.options.getSubcommand();
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        const reply = content => interaction.reply({ content, ephemeral: true });
+
+        this.log('🛠️ Ticket admin command', {
+            subcommand,
+            channelId: channel.id,
+            userId: interaction.user.id
+        });
+        this.stats.slashCommandsExecuted++;
+
+        if (subcommand === 'list') {
+            const tickets = this.getActiveTicketsInfo();
+            if (tickets.length === 0) {
+                await reply('ℹ️ No open tickets');
+                return;
+            }
+            const lines = tickets.map(ticket => {
+                const missing = this.getMissingRequirements(ticket);
+                const idleClose = ticket.inactivityCloseAt
+                    ? `, closes if idle <t:${Math.floor(ticket.inactivityCloseAt.getTime() / 1000)}:R>`
+                    : '';
+                const state = ticket.awaitingResponse
+                    ? `missing: ${missing.join(', ')}${idleClose}`
+                    : `closes <t:${Math.floor(ticket.closeAt.getTime() / 1000)}:R>`;
+                const reused = ticket.reusedImages.length > 0 ? ` — 🚩 ${ticket.reusedImages.length} reused screenshot(s)` : '';
+                const unchecked = ticket.uncheckedImages.length > 0 ? ` — 🔍 ${ticket.uncheckedImages.length} screenshot(s) to review` : '';
+                return `• <#${ticket.channelId}> — ${ticket.userTag} — ${ticket.language} — ${ticket.ageMinutes} min old — ${state}${reused}${unchecked}`;
+            });
+            await reply(fitLines(`**Open tickets (${tickets.length})**`, lines));
+            return;
+        }
+
+        if (subcommand === 'stats') {
+            const stats = this.getStats();
+            await reply(
+                `**Ticket stats** (uptime ${stats.uptimeHours}h)\n` +
+                `Open: ${stats.activeTickets} | Awaiting deletion: ${stats.pendingClosures}\n` +
+                `Created: ${stats.ticketsCreated} | Completed: ${stats.ticketsCompleted} | Auto-answered: ${stats.ticketsAutoAnswered} | Closed: ${stats.ticketsClosed}\n` +
+                `Inactivity reminders: ${stats.inactivityReminders} | Closed for inactivity: ${stats.ticketsClosedInactive}\n` +
+                `Reused screenshots flagged: ${stats.reusedImagesFlagged} | Held for review: ${stats.uncheckedImagesFlagged}\n` +
+                `Errors: ${stats.errors}`
+            );
+            return;
+        }
+
+        if (subcommand === 'reload-templates') {
+            try {
+                const count = templates.reload();
+                this.log('📝 Message templates reloaded', { count, filePath: templates.filePath });
+                await reply(`✅ Reloaded ${count} message templates`);
+            } catch (error) {
+                this.logError('Failed to reload message templates', error, { filePath: templates.filePath });
+                await reply(`❌ Templates not reloaded, keeping the current ones: ${error.message}`);
+            }
+            return;
+        }
+
+        const ticket = this.activeTickets.get(channel.id);
+        if (!ticket) {
+            await reply(`❌ <#${channel.id}> is not an open ticket`);
+            return;
+        }
+
+        if (subcommand === 'close') {
+            await reply(`🔒 Closing <#${channel.id}>`);
+            await this.closeTicket(channel.id);
+        } else if (subcommand === 'complete') {
+            if (!ticket.awaitingResponse) {
+                await reply(`ℹ️ <#${channel.id}> is already complete`);
+                return;
+            }
+            await this.completeTicket(channel, ticket);
+            await reply(`✅ <#${channel.id}> marked as complete`);
+        } else if (subcommand === 'extend') {
+            if (!ticket.closeAt) {
+                await reply(`❌ <#${channel.id}> has no auto-close deadline yet`);
+                return;
+            }
+            const hours = interaction.options.getNumber('hours');
+            ticket.closeAt = new Date(ticket.closeAt.getTime() + hours * 60 * 60 * 1000);
+            this.scheduleClosure(channel.id, ticket.closeAt);
+            this.persistState();
+            await reply(`⏰ <#${channel.id}> now closes <t:${Math.floor(ticket.closeAt.getTime() / 1000)}:R>`);
+        }
+    }
+
     /**
      * Get comprehensive ticket statistics
      */
@@ -504,7 +1250,12 @@ setTimeout(async () => {
             configuration: {
                 ticketCategory: this.TICKET_CATEGORY,
                 closeHours: this.CLOSE_HOURS,
-                debugMode: this.DEBUG_MODE
+                inactivityReminderMinutes: this.INACTIVITY_REMINDER_MINUTES,
+                inactivityCloseHours: this.INACTIVITY_CLOSE_HOURS,
+                ticketBackend: this.backend.name,
+                imageMatchEnabled: this.IMAGE_MATCH_ENABLED,
+                imageMatchThreshold: this.IMAGE_MATCH_THRESHOLD,
+                logLevel: LOG_LEVEL
             }
         };
     }
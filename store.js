@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Small JSON file store used to keep bot state across restarts
+ */
+class JsonStore {
+    constructor(filePath, defaults = {}) {
+        this.filePath = filePath;
+        this.defaults = defaults;
+    }
+
+    /**
+     * Read the stored data, falling back to the defaults when the file does not exist yet
+     */
+    load() {
+        const defaults = JSON.parse(JSON.stringify(this.defaults));
+        try {
+            const raw = fs.readFileSync(this.filePath, 'utf-8');
+            return { ...defaults, ...JSON.parse(raw) };
+        } catch (error) {
+            if (error.code === 'ENOENT') return defaults;
+            throw error;
+        }
+    }
+
+    /**
+     * Write the data through a temp file so a crash mid-write never leaves a truncated file
+     */
+    save(data) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
+
+module.exports = JsonStore;
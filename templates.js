@@ -0,0 +1,145 @@
+const path = require('path');
+
+const DEFAULT_FORM_URL = 'https://docs.google.com/forms/d/e/1FAIpQLSfsEm1xSQe4XBg7epvnXk093EuJwUjr1J7NkE3WkftbB8yk0A/viewform';
+
+// Variables templates may use as {name}. Any other placeholder is rejected when templates load.
+const TEMPLATE_VARIABLES = [
+    'userTag',      // Mention of the ticket owner
+    'closeHours',   // Configured auto-close delay in hours, e.g. 1.5
+    'closeIn',      // The same delay as text, e.g. "1 hour 30 minutes"
+    'requirements', // Ticket requirements still missing, one reminder per line
+    'ticketAge',    // How long the ticket has been open, e.g. "2 hours 5 minutes"
+    'inactivityCloseIn', // Time left before an incomplete ticket closes for inactivity
+    'formUrl',      // Access form link (FORM_URL)
+    'address',
+    'row',
+    'batch',
+    'reason',
+    'earlierTicket', // Earlier ticket a reused screenshot was first seen in
+    'earlierUser'    // Mention of the user who sent it there
+];
+
+// Templates the bot sends directly; a template file without them is rejected
+const REQUIRED_TEMPLATES = [
+    'INITIAL_MESSAGE', 'FORM_MESSAGE', 'INVALID_ADDRESS_MESSAGE', 'INACTIVITY_REMINDER_MESSAGE', 'INACTIVITY_CLOSE_MESSAGE',
+    'REUSED_IMAGE_MESSAGE'
+];
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+// Localized variants are named NAME:language, e.g. INITIAL_MESSAGE:es
+const LANGUAGE_SEPARATOR = ':';
+
+/**
+ * Format a duration in the given language, e.g. "2 hours 5 minutes" ("< 1 minute" below one minute)
+ */
+function formatDuration(ms, language = 'en') {
+    const unit = (value, name) => new Intl.NumberFormat(language, { style: 'unit', unit: name, unitDisplay: 'long' }).format(value);
+    const totalMinutes = Math.round(ms / 1000 / 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    const parts = [];
+    if (hours > 0) parts.push(unit(hours, 'hour'));
+    if (minutes > 0) parts.push(unit(minutes, 'minute'));
+    return parts.length > 0 ? parts.join(' ') : `< ${unit(1, 'minute')}`;
+}
+
+/**
+ * Replace every {name} in text with its variable; unknown or missing variables become empty
+ */
+function interpolate(text, variables) {
+    return text.replace(PLACEHOLDER, (match, name) => {
+        const value = variables[name];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+function validateTemplates(templates, filePath) {
+    const errors = [];
+    REQUIRED_TEMPLATES
+        .filter(name => typeof templates[name] !== 'string')
+        .forEach(name => errors.push(`missing ${name}`));
+    Object.entries(templates).forEach(([name, text]) => {
+        if (typeof text !== 'string') {
+            errors.push(`${name} is not a string`);
+            return;
+        }
+        const [baseName, language] = name.split(LANGUAGE_SEPARATOR);
+        if (language !== undefined && (!language || typeof templates[baseName] !== 'string')) {
+            errors.push(`${name} is a translation of a template that does not exist`);
+        }
+        for (const [, variable] of text.matchAll(PLACEHOLDER)) {
+            if (!TEMPLATE_VARIABLES.includes(variable)) errors.push(`${name} uses unknown variable {${variable}}`);
+        }
+    });
+    if (errors.length > 0) {
+        throw new Error(`Invalid templates in ${filePath}: ${errors.join('; ')}`);
+    }
+}
+
+/**
+ * Named message templates loaded from a module exporting { NAME: 'text with {variables}' },
+ * with optional translations under NAME:language that fall back to NAME
+ */
+class TemplateStore {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.globals = { formUrl: process.env.FORM_URL || DEFAULT_FORM_URL };
+        this.templates = this.readFile();
+    }
+
+    readFile() {
+        delete require.cache[this.filePath];
+        const templates = require(this.filePath);
+        validateTemplates(templates, this.filePath);
+        return templates;
+    }
+
+    /**
+     * Re-read the template file. An invalid file throws and the current templates stay in use.
+     * Returns the number of templates loaded.
+     */
+    reload() {
+        this.templates = this.readFile();
+        return Object.keys(this.templates).length;
+    }
+
+    has(name) {
+        return typeof this.templates[name] === 'string';
+    }
+
+    /**
+     * Template text in the given language, falling back to the base (English) template
+     */
+    get(name, language) {
+        const localized = language && this.templates[`${name}${LANGUAGE_SEPARATOR}${language}`];
+        if (typeof localized === 'string') return localized;
+        return this.has(name) ? this.templates[name] : null;
+    }
+
+    /**
+     * Render a named template, or null when there is no template with that name
+     */
+    render(name, variables = {}, language = null) {
+        const text = this.get(name, language);
+        if (text === null) return null;
+        return interpolate(text, { ...this.globals, ...variables });
+    }
+
+    /**
+     * Render a template by name, or treat the name itself as literal text with variables
+     */
+    renderText(nameOrText, variables = {}, language = null) {
+        return this.render(nameOrText, variables, language) ?? interpolate(nameOrText, { ...this.globals, ...variables });
+    }
+}
+
+// Shared by the ticket system and the export bot, so a reload applies to both
+const templates = new TemplateStore(process.env.TEMPLATES_FILE || path.join(__dirname, 'message.js'));
+
+module.exports = {
+    TEMPLATE_VARIABLES,
+    formatDuration,
+    TemplateStore,
+    templates
+};